@@ -1,13 +1,31 @@
 import React, { useState, useEffect } from 'react'
 import Login from './pages/Login'
 import Chat from './pages/Chat'
+import { ChatProvider } from './store/ChatContext'
+
+// session: { token, user: { id, username } }
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem('session')) || null
+  } catch {
+    return null
+  }
+}
 
 export default function App() {
-  const [username, setUsername] = useState(() => localStorage.getItem('username') || '')
+  const [session, setSession] = useState(loadSession)
 
   useEffect(() => {
-    if (username) localStorage.setItem('username', username)
-  }, [username])
+    if (session) localStorage.setItem('session', JSON.stringify(session))
+    else localStorage.removeItem('session')
+  }, [session])
 
-  return username ? <Chat username={username} onLogout={() => { localStorage.removeItem('username'); setUsername('') }} /> : <Login onLogin={(name) => setUsername(name)} />
-}
\ No newline at end of file
+  // keyed by account, so signing in as someone else starts a fresh store and socket
+  return session ? (
+    <ChatProvider key={session.user.id} token={session.token} userId={session.user.id} username={session.user.username}>
+      <Chat username={session.user.username} userId={session.user.id} token={session.token} onLogout={() => setSession(null)} />
+    </ChatProvider>
+  ) : (
+    <Login onLogin={(s) => setSession(s)} />
+  )
+}
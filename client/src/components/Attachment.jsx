@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react'
+import { fetchFile } from '../utils/api.js'
+import { formatSize } from '../utils/attachments.js'
+
+// A message attachment. Downloads need the session token, so files are fetched
+// as blobs: images right away (shown as a thumbnail), other files on click.
+export default function Attachment({ attachment, token }) {
+  const isImage = attachment.mimeType.startsWith('image/')
+  const [src, setSrc] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!isImage) return
+    let url = null
+    let cancelled = false
+    fetchFile(attachment.url, token)
+      .then((blob) => {
+        url = URL.createObjectURL(blob)
+        if (cancelled) URL.revokeObjectURL(url)
+        else setSrc(url)
+      })
+      .catch((err) => !cancelled && setError(err.message))
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [attachment.url, token, isImage])
+
+  async function download() {
+    try {
+      const url = URL.createObjectURL(await fetchFile(attachment.url, token))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = attachment.name
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (isImage && src) {
+    return (
+      <a className="attachment-image" href={src} target="_blank" rel="noreferrer">
+        <img src={src} alt={attachment.name} />
+      </a>
+    )
+  }
+
+  return (
+    <button type="button" className="attachment-card" onClick={download} title="Download">
+      <span className="attachment-icon">{isImage ? '🖼' : '📎'}</span>
+      <span className="attachment-name">{attachment.name}</span>
+      <span className="attachment-size">{error || formatSize(attachment.size)}</span>
+    </button>
+  )
+}
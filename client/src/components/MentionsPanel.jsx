@@ -0,0 +1,36 @@
+import React from 'react'
+import RichText from './RichText.jsx'
+
+// Side panel listing messages that mention the user, newest first.
+// `onJump(message)` opens the conversation the message was sent in.
+export default function MentionsPanel({ mentions, rooms, currentUserId, onJump, onClose }) {
+  function placeOf(m) {
+    if (!m.room) return 'Global chat'
+    const room = rooms.find((r) => r.id === m.room)
+    return room ? `#${room.name}` : 'A room you left'
+  }
+
+  return (
+    <aside className="thread-panel mentions-panel">
+      <div className="thread-header">
+        <strong>Mentions</strong>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+      <div className="thread-messages">
+        {mentions.length === 0 && <div className="thread-count">Nobody has mentioned you yet</div>}
+        <ul>
+          {mentions.map((m) => (
+            <li key={m.id} className="message mention-item" onClick={() => onJump(m)}>
+              <div className="meta">
+                <strong>{m.sender}</strong>
+                <span>{placeOf(m)}</span>
+                <span className="time">{new Date(m.timestamp).toLocaleString()}</span>
+              </div>
+              <div className="text"><RichText content={m.content} text={m.text} currentUserId={currentUserId} /></div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </aside>
+  )
+}
@@ -1,15 +1,55 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { formatSize } from '../utils/attachments.js'
+import RichText from './RichText.jsx'
 
-export default function MessageInput({ onSend, onTyping }) {
+// drafts worth previewing: Markdown markers, mentions or links
+const FORMATTING = /[*_`[@]|https?:\/\//
+const PREVIEW_DELAY = 250 // ms
+// an @mention being typed right before the caret
+const MENTION_QUERY = /(^|\s)@([A-Za-z0-9_.-]*)$/
+const MAX_SUGGESTIONS = 6
+
+// `onUpload(file)` resolves an attachment descriptor; without it files can't be attached.
+// `onSend(text, attachment)` gets the uploaded attachment (or null) with the text.
+// `onPreview(text)` resolves the draft's parsed content for a formatting preview.
+// `mentionCandidates` are the usernames offered when the user types "@".
+export default function MessageInput({
+  onSend,
+  onTyping,
+  onUpload = null,
+  onPreview = null,
+  mentionCandidates = [],
+  placeholder = 'Type a message and press Enter...',
+}) {
   const [text, setText] = useState('')
+  const [attachment, setAttachment] = useState(null)
+  const [uploading, setUploading] = useState(false)
+  const [uploadError, setUploadError] = useState(null)
+  const [dragging, setDragging] = useState(false)
+  // the parsed content of a recent draft; shown only while the draft has formatting
+  const [preview, setPreview] = useState(null)
+  const [caret, setCaret] = useState(0)
+  const [suggestionIndex, setSuggestionIndex] = useState(0)
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false)
   const typingTimeout = useRef(null)
+  const fileInput = useRef(null)
+  const textInput = useRef(null)
+
+  const mentionQuery = text.slice(0, caret).match(MENTION_QUERY)
+  const suggestions = mentionQuery && !suggestionsDismissed
+    ? mentionCandidates
+        .filter((name) => name.toLowerCase().startsWith(mentionQuery[2].toLowerCase()))
+        .slice(0, MAX_SUGGESTIONS)
+    : []
 
   function submit(e) {
     e && e.preventDefault()
     const t = text.trim()
-    if (!t) return
-    onSend(t)
+    if ((!t && !attachment) || uploading) return
+    onSend(t, attachment)
     setText('')
+    setAttachment(null)
+    setPreview(null)
     onTyping(false)
   }
 
@@ -19,8 +59,61 @@ export default function MessageInput({ onSend, onTyping }) {
     }
   }, [])
 
+  const previewable = !!onPreview && FORMATTING.test(text)
+  useEffect(() => {
+    if (!previewable) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      onPreview(text)
+        .then((content) => !cancelled && setPreview(content))
+        .catch(() => !cancelled && setPreview(null))
+    }, PREVIEW_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [text, previewable])
+
+  // replace the @query before the caret with the chosen username
+  function completeMention(name) {
+    const start = caret - mentionQuery[2].length
+    const next = `${text.slice(0, start)}${name} ${text.slice(caret)}`
+    const position = start + name.length + 1
+    setText(next)
+    setCaret(position)
+    requestAnimationFrame(() => textInput.current?.setSelectionRange(position, position))
+  }
+
+  // Enter sends; Shift+Enter starts a new line (code blocks span lines).
+  // While mention suggestions are open the arrows, Enter and Tab pick one.
+  function handleKeyDown(e) {
+    if (suggestions.length > 0) {
+      const index = Math.min(suggestionIndex, suggestions.length - 1)
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : suggestions.length - 1
+        setSuggestionIndex((index + step) % suggestions.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        completeMention(suggestions[index])
+        return
+      }
+      if (e.key === 'Escape') {
+        setSuggestionsDismissed(true)
+        return
+      }
+    }
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) submit(e)
+  }
+
   function handleChange(e) {
     setText(e.target.value)
+    setCaret(e.target.selectionStart)
+    setSuggestionIndex(0)
+    setSuggestionsDismissed(false)
     onTyping(true)
     clearTimeout(typingTimeout.current)
     typingTimeout.current = setTimeout(() => {
@@ -28,15 +121,105 @@ export default function MessageInput({ onSend, onTyping }) {
     }, 800)
   }
 
+  async function attach(file) {
+    if (!onUpload || !file) return
+    setUploading(true)
+    setUploadError(null)
+    try {
+      setAttachment(await onUpload(file))
+    } catch (err) {
+      setUploadError(err.message)
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  function handlePaste(e) {
+    const file = Array.from(e.clipboardData?.files || [])[0]
+    if (file && onUpload) {
+      e.preventDefault()
+      attach(file)
+    }
+  }
+
+  function handleDrop(e) {
+    e.preventDefault()
+    setDragging(false)
+    attach(e.dataTransfer.files[0])
+  }
+
+  const dropHandlers = onUpload
+    ? {
+        onDragOver: (e) => {
+          e.preventDefault()
+          setDragging(true)
+        },
+        onDragLeave: () => setDragging(false),
+        onDrop: handleDrop,
+      }
+    : {}
+
   return (
-    <form className="message-input" onSubmit={submit}>
-      <input
+    <form className={`message-input ${dragging ? 'dragging' : ''}`} onSubmit={submit} {...dropHandlers}>
+      {previewable && preview && preview.length > 0 && (
+        <div className="format-preview"><RichText content={preview} /></div>
+      )}
+      {(attachment || uploading || uploadError) && (
+        <div className="pending-attachment">
+          {uploading && 'Uploading...'}
+          {uploadError && <span className="form-error">{uploadError}</span>}
+          {attachment && (
+            <>
+              📎 {attachment.name} <span className="attachment-size">{formatSize(attachment.size)}</span>
+              <button type="button" className="link-btn" onClick={() => setAttachment(null)} title="Remove">×</button>
+            </>
+          )}
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions">
+          {suggestions.map((name, i) => (
+            <li key={name}>
+              <button
+                type="button"
+                className={`link-btn ${i === Math.min(suggestionIndex, suggestions.length - 1) ? 'active' : ''}`}
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  completeMention(name)
+                }}
+              >
+                @{name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <textarea
+        ref={textInput}
+        rows={Math.min(6, text.split('\n').length)}
         value={text}
         onChange={handleChange}
-        placeholder="Type a message and press Enter..."
+        onKeyDown={handleKeyDown}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onPaste={handlePaste}
+        placeholder={placeholder}
         autoFocus
       />
-      <button type="submit" className="btn">Send</button>
+      {onUpload && (
+        <>
+          <input
+            ref={fileInput}
+            type="file"
+            hidden
+            onChange={(e) => {
+              attach(e.target.files[0])
+              e.target.value = ''
+            }}
+          />
+          <button type="button" className="btn" onClick={() => fileInput.current.click()} title="Attach a file">📎</button>
+        </>
+      )}
+      <button type="submit" className="btn" disabled={uploading}>Send</button>
     </form>
   )
-}
\ No newline at end of file
+}
@@ -1,33 +1,260 @@
-import React, { useEffect, useRef } from 'react'
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react'
+import Reactions from './Reactions.jsx'
+import Attachment from './Attachment.jsx'
+import RichText from './RichText.jsx'
+import ModerationMenu from './ModerationMenu.jsx'
+import { roleOf } from '../utils/rooms.js'
 
-export default function MessageList({ messages, currentUser, selectedPrivate }) {
+// distance from the top (px) at which older history is requested
+const LOAD_OLDER_THRESHOLD = 40
+
+// status of a message as seen by its sender
+const DELIVERY_LABELS = {
+  pending: 'Sending...',
+  queued: 'Queued (recipient offline)',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+}
+const DELIVERY_TICKS = { pending: '⋯', queued: '🕓', sent: '✓', delivered: '✓✓', read: '✓✓' }
+
+// how far one of the user's own messages got: read by anyone > delivered > sent
+// (> pending, while it waits in the outbox)
+function deliveryState(m) {
+  if (m.pending) return 'pending'
+  if (m.receipts?.read?.length) return 'read'
+  if (m.receipts?.delivered?.length || m.status === 'delivered') return 'delivered'
+  return m.status === 'queued' ? 'queued' : 'sent'
+}
+
+function names(list = []) {
+  return list.map((r) => r.username).join(', ')
+}
+
+// `messages` is the buffer of one conversation; `view` identifies that conversation.
+// `canModerate` lets the user edit/delete other people's messages in this view.
+// `onModerate(message, action, options)` adds a moderation menu to other users'
+// messages; `room` (null for the global chat) gives their roles and `canSetRole`
+// lets the owner promote and demote moderators.
+// `onRead(message)` is called with the newest message of others on screen.
+// Pending messages from the outbox that the server refused carry `failed`;
+// `onRetry(message)` and `onDiscard(message)` resend or drop them. Those the
+// server asked to resend later (rate limit, slow mode) carry `held`: { error, retryAfter }.
+// `focusId` is a message to scroll to and highlight (after a jump from search).
+export default function MessageList({
+  messages,
+  currentUser,
+  currentUserId = null,
+  token = null,
+  view,
+  focusId = null,
+  hasMore = false,
+  onLoadOlder = null,
+  canModerate = false,
+  onEdit = null,
+  onDelete = null,
+  onModerate = null,
+  room = null,
+  canSetRole = false,
+  onReact = null,
+  onOpenThread = null,
+  onRead = null,
+  onRetry = null,
+  onDiscard = null,
+}) {
+  const listRef = useRef(null)
   const endRef = useRef(null)
+  // set while a history page is loading so the viewport can be kept in place
+  const anchorRef = useRef(null)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const [editing, setEditing] = useState(null) // { id, text }
+  // the parent's handler changes every render; the observer reads the latest one
+  const onReadRef = useRef(onRead)
+  useLayoutEffect(() => {
+    onReadRef.current = onRead
+  })
 
-  useEffect(() => {
+  useLayoutEffect(() => {
+    const el = listRef.current
+    const anchor = anchorRef.current
+    if (el && anchor && anchor.view === view) {
+      // older messages were prepended above the anchor: keep it where it was
+      if (messages.findIndex((m) => m.id === anchor.firstId) > 0) {
+        el.scrollTop = el.scrollHeight - anchor.fromBottom
+        anchorRef.current = null
+        return
+      }
+    } else {
+      anchorRef.current = null
+    }
     endRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [messages, selectedPrivate])
+  }, [messages, view])
+
+  // runs after the scroll-to-bottom above, so a focused message wins
+  useEffect(() => {
+    if (focusId === null) return
+    listRef.current?.querySelector(`li[data-message-id="${CSS.escape(String(focusId))}"]`)?.scrollIntoView({ block: 'center' })
+  }, [focusId, messages])
+
+  // report the newest visible message of others, again when the tab becomes visible
+  useEffect(() => {
+    const root = listRef.current
+    if (!root || typeof IntersectionObserver === 'undefined') return
+    const byId = new Map(messages.map((m) => [String(m.id), m]))
+    const visible = new Set()
+    function report() {
+      let newest = null
+      visible.forEach((id) => {
+        const m = byId.get(id)
+        if (m && (!newest || Date.parse(m.timestamp) > Date.parse(newest.timestamp))) newest = m
+      })
+      if (newest && onReadRef.current) onReadRef.current(newest)
+    }
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((e) => (e.isIntersecting ? visible.add(e.target.dataset.id) : visible.delete(e.target.dataset.id)))
+      report()
+    }, { root, threshold: 0.6 })
+    root.querySelectorAll('li[data-id]').forEach((el) => observer.observe(el))
+    document.addEventListener('visibilitychange', report)
+    return () => {
+      observer.disconnect()
+      document.removeEventListener('visibilitychange', report)
+    }
+  }, [messages])
+
+  async function handleScroll(e) {
+    const el = e.currentTarget
+    if (!onLoadOlder || !hasMore || loadingOlder || el.scrollTop > LOAD_OLDER_THRESHOLD) return
+    anchorRef.current = { view, firstId: messages[0]?.id, fromBottom: el.scrollHeight - el.scrollTop }
+    setLoadingOlder(true)
+    try {
+      await onLoadOlder()
+    } finally {
+      setLoadingOlder(false)
+    }
+  }
+
+  function startEdit(m) {
+    setEditing({ id: m.id, text: m.text })
+  }
+
+  async function saveEdit(e, m) {
+    e.preventDefault()
+    const text = editing.text.trim()
+    if (text && text !== m.text) await onEdit(m, text)
+    setEditing(null)
+  }
+
+  function confirmDelete(m) {
+    if (window.confirm('Delete this message?')) onDelete(m)
+  }
+
+  // "seen by" is shown under the user's latest message only
+  const lastOwnId = [...messages].reverse().find((m) => m.sender === currentUser && !m.system)?.id
 
   return (
-    <div className="messages">
+    <div className="messages" ref={listRef} onScroll={handleScroll}>
+      {onLoadOlder && (loadingOlder || !hasMore) && (
+        <div className="history-hint">{loadingOlder ? 'Loading older messages...' : 'Beginning of conversation'}</div>
+      )}
       <ul>
-        {messages
-          .filter((m) => {
-            if (m.system) return !selectedPrivate
-            if (!selectedPrivate) return !m.private
-            if (!m.private) return false
-            return m.senderId === selectedPrivate || m.recipientId === selectedPrivate || m.sender === currentUser
-          })
-          .map((m) => (
-            <li key={m.id} className={`message ${m.sender === currentUser ? 'mine' : ''} ${m.system ? 'system' : ''}`}>
+        {messages.map((m) => {
+          const mine = m.sender === currentUser
+          const state = mine && !m.system && !m.deleted && !m.failed ? deliveryState(m) : null
+          const readers = m.receipts?.read || []
+          const mentionsMe = !!currentUserId && !!m.mentions?.some((u) => u.id === currentUserId)
+          const editable = !m.system && !m.deleted && !m.pending && (mine || canModerate)
+          const replyable = onOpenThread && !m.system && !m.deleted && !m.pending && !m.private
+          const moderatable = onModerate && !mine && !m.system && !!m.senderId && !(room && room.ownerId === m.senderId)
+          return (
+            <li
+              key={m.id}
+              data-id={!mine && !m.system ? m.id : undefined}
+              data-message-id={m.id}
+              className={`message ${mine ? 'mine' : ''} ${m.system ? 'system' : ''} ${m.deleted ? 'deleted' : ''} ${m.pending ? 'pending' : ''} ${mentionsMe ? 'mentioned' : ''} ${m.id === focusId ? 'focused' : ''}`}
+            >
               <div className="meta">
                 <strong>{m.system ? '' : m.sender}</strong>
                 <span className="time">{m.timestamp ? new Date(m.timestamp).toLocaleTimeString() : ''}</span>
+                {m.editedAt && !m.deleted && (
+                  <span className="edited" title={new Date(m.editedAt).toLocaleString()}>(edited)</span>
+                )}
+                {state && (
+                  <span
+                    className={`delivery ${state}`}
+                    title={state === 'read' ? `Read by ${names(readers)}` : DELIVERY_LABELS[state]}
+                  >
+                    {DELIVERY_TICKS[state]}
+                  </span>
+                )}
+                {state === 'pending' && m.held && (
+                  <span className="send-held">
+                    {m.held.error} (retrying in {Math.ceil(m.held.retryAfter / 1000)}s)
+                  </span>
+                )}
+                {editing?.id !== m.id && (replyable || (editable && onEdit) || moderatable) && (
+                  <span className="message-actions">
+                    {replyable && <button className="link-btn" onClick={() => onOpenThread(m)}>Reply</button>}
+                    {editable && onEdit && <button className="link-btn" onClick={() => startEdit(m)}>Edit</button>}
+                    {editable && onDelete && <button className="link-btn" onClick={() => confirmDelete(m)}>Delete</button>}
+                    {moderatable && (
+                      <ModerationMenu
+                        username={m.sender}
+                        role={room ? roleOf(room, m.senderId) : null}
+                        canSetRole={canSetRole}
+                        onModerate={(action, options) => onModerate(m, action, options)}
+                      />
+                    )}
+                  </span>
+                )}
               </div>
-              <div className="text">{m.text || m.message}</div>
+              {m.quote && (
+                <blockquote className="quote" onClick={() => onOpenThread && onOpenThread(m)}>
+                  <strong>{m.quote.sender}</strong> {m.quote.deleted ? <em>deleted message</em> : m.quote.text}
+                </blockquote>
+              )}
+              {m.deleted ? (
+                <div className="text tombstone">This message was deleted</div>
+              ) : editing?.id === m.id ? (
+                <form className="edit-form" onSubmit={(e) => saveEdit(e, m)}>
+                  <input
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                    autoFocus
+                  />
+                  <button type="submit" className="btn small">Save</button>
+                  <button type="button" className="btn small" onClick={() => setEditing(null)}>Cancel</button>
+                </form>
+              ) : (
+                (m.text || m.message || !m.attachment) && (
+                  <div className="text"><RichText content={m.content} text={m.text || m.message} currentUserId={currentUserId} /></div>
+                )
+              )}
+              {m.attachment && !m.deleted && <Attachment attachment={m.attachment} token={token} />}
+              {m.failed && (
+                <div className="send-failed">
+                  Not sent: {m.failed}
+                  {onRetry && <button className="link-btn" onClick={() => onRetry(m)}>Retry</button>}
+                  {onDiscard && <button className="link-btn" onClick={() => onDiscard(m)}>Discard</button>}
+                </div>
+              )}
+              {!m.system && !m.deleted && !m.pending && (
+                <Reactions message={m} currentUserId={currentUserId} onReact={onReact} />
+              )}
+              {m.id === lastOwnId && readers.length > 0 && (
+                <div className="seen-by">{m.private ? 'Seen' : `Seen by ${names(readers)}`}</div>
+              )}
+              {m.replyCount > 0 && onOpenThread && (
+                <button className="link-btn reply-count" onClick={() => onOpenThread(m)}>
+                  {m.replyCount} repl{m.replyCount === 1 ? 'y' : 'ies'}
+                </button>
+              )}
             </li>
-          ))}
+          )
+        })}
       </ul>
       <div ref={endRef} />
     </div>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,36 @@
+import React from 'react'
+
+// Moderation actions on another user, as a compact select next to their message.
+// `role` is the target's role in the room (null in the global chat); `canSetRole`
+// is true for the room owner. `onModerate(action, options)` runs the action.
+const ACTIONS = [
+  { value: 'mute-5m', label: 'Mute 5 min', action: 'mute', options: { duration: 5 * 60 } },
+  { value: 'mute-1h', label: 'Mute 1 hour', action: 'mute', options: { duration: 60 * 60 } },
+  { value: 'unmute', label: 'Unmute', action: 'unmute' },
+  { value: 'kick', label: 'Kick', action: 'kick' },
+  { value: 'ban-1d', label: 'Ban 1 day', action: 'ban', options: { duration: 24 * 60 * 60 } },
+  { value: 'ban', label: 'Ban', action: 'ban' },
+  { value: 'ban-ip', label: 'Ban account and IP', action: 'ban', options: { ip: true } },
+  { value: 'unban', label: 'Unban', action: 'unban' },
+]
+
+export default function ModerationMenu({ username, role = null, canSetRole = false, onModerate }) {
+  const choices = [...ACTIONS]
+  if (canSetRole && role === 'member') choices.push({ value: 'promote', label: 'Make moderator', action: 'role', options: { role: 'moderator' } })
+  if (canSetRole && role === 'moderator') choices.push({ value: 'demote', label: 'Remove moderator', action: 'role', options: { role: 'member' } })
+
+  function choose(e) {
+    const choice = choices.find((c) => c.value === e.target.value)
+    e.target.value = ''
+    if (choice) onModerate(choice.action, choice.options || {})
+  }
+
+  return (
+    <select className="moderation-menu" value="" onChange={choose} title={`Moderate ${username}`}>
+      <option value="" disabled>Moderate…</option>
+      {choices.map((c) => (
+        <option key={c.value} value={c.value}>{c.label}</option>
+      ))}
+    </select>
+  )
+}
@@ -0,0 +1,45 @@
+import React, { useState } from 'react'
+
+// quick picks offered by the "add reaction" button
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢']
+
+// Reaction chips under a message: one per emoji with its count, highlighted when
+// the current user reacted. Clicking a chip (or a picker entry) toggles it.
+export default function Reactions({ message, currentUserId, onReact }) {
+  const [picking, setPicking] = useState(false)
+  const reactions = Object.entries(message.reactions || {})
+
+  if (!onReact && reactions.length === 0) return null
+
+  function pick(emoji) {
+    setPicking(false)
+    onReact(message, emoji)
+  }
+
+  return (
+    <div className="reactions">
+      {reactions.map(([emoji, users]) => {
+        const mine = users.some((u) => u.id === currentUserId)
+        return (
+          <button
+            key={emoji}
+            className={`reaction ${mine ? 'mine' : ''}`}
+            title={users.map((u) => u.username).join(', ')}
+            onClick={() => onReact && onReact(message, emoji)}
+            disabled={!onReact}
+          >
+            {emoji} {users.length}
+          </button>
+        )
+      })}
+      {onReact && (
+        <span className="reaction-picker">
+          <button className="reaction add" title="Add reaction" onClick={() => setPicking(!picking)}>+</button>
+          {picking && QUICK_REACTIONS.map((emoji) => (
+            <button key={emoji} className="reaction" onClick={() => pick(emoji)}>{emoji}</button>
+          ))}
+        </span>
+      )}
+    </div>
+  )
+}
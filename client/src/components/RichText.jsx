@@ -0,0 +1,56 @@
+import React from 'react'
+
+// protocols a link may use; the server already drops others, this is a second check
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:']
+
+function isSafeHref(href) {
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(href).protocol)
+  } catch {
+    return false
+  }
+}
+
+function renderInline(nodes = [], currentUserId = null) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={i}>{node.text}</React.Fragment>
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children, currentUserId)}</strong>
+      case 'em':
+        return <em key={i}>{renderInline(node.children, currentUserId)}</em>
+      case 'code':
+        return <code key={i}>{node.text}</code>
+      case 'link':
+        return isSafeHref(node.href) ? (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow">{renderInline(node.children, currentUserId)}</a>
+        ) : (
+          <React.Fragment key={i}>{renderInline(node.children, currentUserId)}</React.Fragment>
+        )
+      case 'mention': {
+        // the server sets userId (or room) on mentions it resolved
+        const self = node.room || (currentUserId && node.userId === currentUserId)
+        return <span key={i} className={`mention ${self ? 'self' : ''}`}>@{node.username}</span>
+      }
+      case 'break':
+        return <br key={i} />
+      default:
+        return null
+    }
+  })
+}
+
+// Render a message's parsed `content` (see server/utils/markdown.js) without
+// ever injecting HTML; messages stored before formatting existed show `text`.
+// Mentions of `currentUserId` are highlighted.
+export default function RichText({ content, text = '', currentUserId = null }) {
+  if (!Array.isArray(content)) return <>{text}</>
+  return content.map((block, i) =>
+    block.type === 'code_block' ? (
+      <pre key={i} className="code-block" data-lang={block.lang || undefined}><code>{block.text}</code></pre>
+    ) : (
+      <p key={i} className="rich-paragraph">{renderInline(block.children, currentUserId)}</p>
+    )
+  )
+}
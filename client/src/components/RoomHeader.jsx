@@ -0,0 +1,96 @@
+import React from 'react'
+
+// slow-mode intervals moderators can pick, in seconds
+const SLOW_MODE_CHOICES = [0, 5, 10, 30, 60, 300, 900, 3600]
+
+function formatInterval(seconds) {
+  if (seconds === 0) return 'Off'
+  return seconds < 60 ? `${seconds}s` : `${seconds / 60}m`
+}
+
+// Title bar for the active room: name, topic, members, mute toggle and owner actions.
+// `onlineUsers` are the room's members who are connected. `canModerate` shows the
+// slow-mode picker, which calls `onSlowMode(seconds)`.
+export default function RoomHeader({
+  room,
+  onlineUsers = [],
+  currentUserId,
+  muted = false,
+  onToggleMute,
+  onUpdate,
+  onDelete,
+  onLeave,
+  canModerate = false,
+  onSlowMode,
+}) {
+  const muteButton = onToggleMute && (
+    <button className="link-btn" onClick={onToggleMute}>{muted ? 'Unmute' : 'Mute'}</button>
+  )
+
+  if (!room) {
+    return (
+      <header className="room-header">
+        <strong># General</strong>
+        <span className="topic">Everyone online</span>
+        <span className="room-actions">{muteButton}</span>
+      </header>
+    )
+  }
+
+  const isOwner = room.ownerId === currentUserId
+  // an interval set elsewhere stays selectable
+  const slowModeChoices = Array.from(new Set([...SLOW_MODE_CHOICES, room.slowMode || 0])).sort((a, b) => a - b)
+
+  function rename() {
+    const name = window.prompt('Room name', room.name)
+    if (name && name.trim() && name.trim() !== room.name) onUpdate({ name: name.trim() })
+  }
+
+  function editTopic() {
+    const topic = window.prompt('Room topic', room.topic || '')
+    if (topic !== null) onUpdate({ topic })
+  }
+
+  function remove() {
+    if (window.confirm(`Delete #${room.name}? This cannot be undone.`)) onDelete()
+  }
+
+  return (
+    <header className="room-header">
+      <strong># {room.name}</strong>
+      {room.topic && <span className="topic">{room.topic}</span>}
+      <span className="members" title={room.members.map((m) => m.username).join(', ')}>
+        {room.members.length} member{room.members.length === 1 ? '' : 's'}
+      </span>
+      <span className="members" title={onlineUsers.map((u) => u.username).join(', ')}>
+        {onlineUsers.length} online
+      </span>
+      {canModerate ? (
+        <label className="slow-mode" title="Minimum time between one member's messages">
+          🐢
+          <select value={room.slowMode || 0} onChange={(e) => onSlowMode(Number(e.target.value))}>
+            {slowModeChoices.map((seconds) => (
+              <option key={seconds} value={seconds}>{formatInterval(seconds)}</option>
+            ))}
+          </select>
+        </label>
+      ) : (
+        room.slowMode > 0 && (
+          <span className="slow-mode" title="Slow mode: minimum time between your messages">🐢 {formatInterval(room.slowMode)}</span>
+        )
+      )}
+      <span className="room-actions">
+        {muteButton}
+        {isOwner ? (
+          <>
+            <button className="link-btn" onClick={rename}>Rename</button>
+            <button className="link-btn" onClick={editTopic}>Topic</button>
+            <button className="link-btn" onClick={remove}>Delete</button>
+          </>
+        ) : (
+          <button className="link-btn" onClick={onLeave}>Leave</button>
+        )}
+      </span>
+    </header>
+  )
+}
@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+import { roomKey } from '../utils/messages.js'
+
+const VISIBILITY_LABELS = {
+  public: 'Public',
+  invite: 'Invite only',
+  private: 'Private',
+}
+
+// Sidebar section listing the global chat plus every room visible to the user
+// `unread` maps conversation keys to unread counts; `muted` marks muted conversation keys
+export default function RoomList({ rooms, activeRoom, currentUserId, unread = {}, muted = {}, onSelect, onCreate }) {
+  const [creating, setCreating] = useState(false)
+  const [name, setName] = useState('')
+  const [visibility, setVisibility] = useState('public')
+  const [error, setError] = useState('')
+
+  async function submit(e) {
+    e.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) return
+    const ack = await onCreate({ name: trimmed, visibility })
+    if (ack && ack.ok) {
+      setName('')
+      setCreating(false)
+      setError('')
+    } else {
+      setError((ack && ack.error) || 'Could not create room')
+    }
+  }
+
+  function badges(key) {
+    return (
+      <>
+        {muted[key] && <span className="muted-icon" title="Muted">🔕</span>}
+        {unread[key] > 0 && <span className={`unread ${muted[key] ? 'muted' : ''}`}>{unread[key]}</span>}
+      </>
+    )
+  }
+
+  return (
+    <div className="room-section">
+      <div className="section-header">
+        <h4>Rooms</h4>
+        <button className="btn small" onClick={() => setCreating(!creating)}>{creating ? 'Cancel' : '+ New'}</button>
+      </div>
+
+      {creating && (
+        <form className="room-form" onSubmit={submit}>
+          <input maxLength={50} placeholder="Room name" value={name} onChange={(e) => setName(e.target.value)} autoFocus />
+          <select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+            {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn small">Create</button>
+          {error && <div className="form-error">{error}</div>}
+        </form>
+      )}
+
+      <ul className="room-list">
+        <li className={activeRoom === null ? 'selected' : ''}>
+          <button className="link-btn" onClick={() => onSelect(null)}>
+            # General
+            {badges(roomKey(null))}
+          </button>
+        </li>
+        {rooms.map((r) => {
+          const member = r.members.some((m) => m.id === currentUserId)
+          return (
+            <li key={r.id} className={r.id === activeRoom ? 'selected' : ''}>
+              <button className="link-btn" onClick={() => onSelect(r.id)} title={r.topic || r.description || ''}>
+                # {r.name}
+                {r.visibility !== 'public' && <span className="badge">{VISIBILITY_LABELS[r.visibility]}</span>}
+                {!member && <span className="badge">Join</span>}
+                {badges(roomKey(r.id))}
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react'
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// `snippet` with every occurrence of the matched words wrapped in <mark>
+function highlight(snippet, terms) {
+  if (!terms.length) return snippet
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+  return snippet.split(pattern).map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part))
+}
+
+// Side panel searching the history the user can read.
+// `onSearch({ q, room, sender, from })` resolves the server's { terms, results, hasMore };
+// `onJump(message)` opens the message in its conversation.
+export default function SearchPanel({ rooms, users, currentUserId, onSearch, onJump, onClose }) {
+  const [query, setQuery] = useState('')
+  const [room, setRoom] = useState('')
+  const [sender, setSender] = useState('')
+  const [from, setFrom] = useState('')
+  const [found, setFound] = useState(null) // { terms, results, hasMore }
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function submit(e) {
+    e.preventDefault()
+    if (!query.trim()) return
+    setSearching(true)
+    setError(null)
+    try {
+      setFound(await onSearch({ q: query.trim(), room, sender: sender.trim(), from }))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  function placeOf(m) {
+    if (m.isPrivate) {
+      if (m.senderId !== currentUserId) return `Private from ${m.sender}`
+      const recipient = users.find((u) => u.id === m.recipientId)
+      return recipient ? `Private to ${recipient.username}` : 'Private message'
+    }
+    if (!m.room) return 'Global chat'
+    const r = rooms.find((x) => x.id === m.room)
+    return r ? `#${r.name}` : 'A room you left'
+  }
+
+  return (
+    <aside className="thread-panel search-panel">
+      <div className="thread-header">
+        <strong>Search</strong>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+      <form className="search-form" onSubmit={submit}>
+        <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search messages" autoFocus />
+        <select value={room} onChange={(e) => setRoom(e.target.value)}>
+          <option value="">Anywhere</option>
+          <option value="global">Global chat</option>
+          {rooms.map((r) => (
+            <option key={r.id} value={r.id}>#{r.name}</option>
+          ))}
+        </select>
+        <input value={sender} onChange={(e) => setSender(e.target.value)} placeholder="From user" list="search-senders" />
+        <datalist id="search-senders">
+          {users.map((u) => <option key={u.id} value={u.username} />)}
+        </datalist>
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} title="Sent on or after" />
+        <button type="submit" className="btn small" disabled={searching}>{searching ? 'Searching...' : 'Search'}</button>
+      </form>
+      <div className="thread-messages">
+        {error && <div className="form-error">{error}</div>}
+        {found && found.results.length === 0 && <div className="thread-count">No messages found</div>}
+        {found && (
+          <ul>
+            {found.results.map(({ message: m, snippet }) => (
+              <li key={m.id} className="message search-result" onClick={() => onJump(m)}>
+                <div className="meta">
+                  <strong>{m.sender}</strong>
+                  <span>{placeOf(m)}</span>
+                  <span className="time">{new Date(m.timestamp).toLocaleString()}</span>
+                </div>
+                <div className="text snippet">{highlight(snippet, found.terms)}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {found && found.hasMore && <div className="thread-count">Showing the newest {found.results.length} matches</div>}
+      </div>
+    </aside>
+  )
+}
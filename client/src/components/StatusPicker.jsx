@@ -0,0 +1,47 @@
+import React, { useState } from 'react'
+import { PRESENCE_LABELS, PRESENCE_MODES } from '../utils/presence.js'
+
+// The user's own presence: connection state, chosen mode and custom status message.
+// `presence` is the user's entry from the user list; `onChange({ mode?, status? })` saves.
+export default function StatusPicker({ connected, presence, mode, onChange }) {
+  const savedStatus = presence?.status || ''
+  // what the user typed over `base`, the saved status then; a newly saved status
+  // (this edit's, or one from another session) replaces it
+  const [draft, setDraft] = useState(null)
+  const status = draft && draft.base === savedStatus ? draft.text : savedStatus
+
+  const state = connected && presence ? presence.state : 'offline'
+
+  function saveStatus() {
+    if (status.trim() !== savedStatus) onChange({ status: status.trim() })
+  }
+
+  return (
+    <div className="status-picker">
+      <div className="status-line">
+        <span className={`presence-dot ${state}`} title={PRESENCE_LABELS[state]} />
+        {connected ? (
+          <select value={mode} onChange={(e) => onChange({ mode: e.target.value })} title="Presence">
+            {PRESENCE_MODES.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.value === 'auto' && state === 'away' ? 'Away (idle)' : m.label}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="status offline">Offline</span>
+        )}
+      </div>
+      <input
+        className="status-message"
+        value={status}
+        maxLength={100}
+        placeholder="Set a status message"
+        disabled={!connected}
+        onChange={(e) => setDraft({ text: e.target.value, base: savedStatus })}
+        onBlur={saveStatus}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,46 @@
+import React from 'react'
+import MessageInput from './MessageInput.jsx'
+import Reactions from './Reactions.jsx'
+import RichText from './RichText.jsx'
+
+// Side panel showing one thread: the root message, its replies and a reply box
+export default function ThreadPanel({ thread, currentUser, currentUserId, onReply, onReact, onClose }) {
+  const { root, replies, loading } = thread
+
+  return (
+    <aside className="thread-panel">
+      <div className="thread-header">
+        <strong>Thread</strong>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+      <div className="thread-messages">
+        <div className="message thread-root">
+          <div className="meta">
+            <strong>{root.sender}</strong>
+            <span className="time">{new Date(root.timestamp).toLocaleTimeString()}</span>
+          </div>
+          <div className="text">{root.deleted ? 'This message was deleted' : <RichText content={root.content} text={root.text} currentUserId={currentUserId} />}</div>
+          {!root.deleted && <Reactions message={root} currentUserId={currentUserId} onReact={onReact} />}
+        </div>
+        <div className="thread-count">
+          {loading ? 'Loading replies...' : `${replies.length} repl${replies.length === 1 ? 'y' : 'ies'}`}
+        </div>
+        <ul>
+          {replies.map((m) => (
+            <li key={m.id} className={`message ${m.sender === currentUser ? 'mine' : ''} ${m.deleted ? 'deleted' : ''} ${m.pending ? 'pending' : ''}`}>
+              <div className="meta">
+                <strong>{m.sender}</strong>
+                <span className="time">{new Date(m.timestamp).toLocaleTimeString()}</span>
+                {m.editedAt && !m.deleted && <span className="edited">(edited)</span>}
+                {m.pending && <span className="delivery pending">{m.failed ? 'Not sent' : m.held ? m.held.error : 'Sending...'}</span>}
+              </div>
+              <div className={`text ${m.deleted ? 'tombstone' : ''}`}>{m.deleted ? 'This message was deleted' : <RichText content={m.content} text={m.text} currentUserId={currentUserId} />}</div>
+              {!m.deleted && !m.pending && <Reactions message={m} currentUserId={currentUserId} onReact={onReact} />}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <MessageInput onSend={onReply} onTyping={() => {}} placeholder="Reply in thread..." />
+    </aside>
+  )
+}
@@ -1,114 +1,509 @@
 import React, { useEffect, useState, useRef } from 'react'
-import { initSocket, getSocket } from '../socket/socket.js'
+import { emitWithAck, useSocketEvents, useJoined } from '../socket/socket.js'
+import { GLOBAL_CONVERSATION, roomKey, dmKey, conversationKey, systemMessage } from '../utils/messages.js'
+import { apiRequest, uploadFile } from '../utils/api.js'
+import {
+  loadNotificationSettings,
+  saveNotificationSettings,
+  isMuted,
+  toggleMute,
+  titleWithBadge,
+  messagePreview,
+  desktopNotificationsSupported,
+  requestDesktopPermission,
+  showDesktopNotification,
+  playAlertSound,
+} from '../utils/notifications.js'
+import {
+  sortByPresence,
+  formatLastSeen,
+  watchIdle,
+  PRESENCE_LABELS,
+} from '../utils/presence.js'
+import { useChat } from '../store/useChat.js'
+import { countsAsUnread } from '../store/chatReducer.js'
 import MessageList from '../components/MessageList.jsx'
 import MessageInput from '../components/MessageInput.jsx'
+import RoomList from '../components/RoomList.jsx'
+import RoomHeader from '../components/RoomHeader.jsx'
+import ThreadPanel from '../components/ThreadPanel.jsx'
+import MentionsPanel from '../components/MentionsPanel.jsx'
+import SearchPanel from '../components/SearchPanel.jsx'
+import StatusPicker from '../components/StatusPicker.jsx'
+import { roleOf, isModerator } from '../utils/rooms.js'
 
-export default function Chat({ username, onLogout }) {
-  const [socketConnected, setSocketConnected] = useState(false)
-  const [users, setUsers] = useState([])
-  const [messages, setMessages] = useState([])
-  const [typingUsers, setTypingUsers] = useState([])
-  const [selectedPrivate, setSelectedPrivate] = useState(null)
-  const socketRef = useRef(null)
+// how long (ms) a jumped-to message stays highlighted
+const FOCUS_DURATION = 3000
 
+// status message and, for offline users, when they were last seen
+function presenceDetail(user) {
+  return [user.status, user.state === 'offline' && formatLastSeen(user.lastSeen)].filter(Boolean).join(' · ')
+}
+
+// system notice for a `moderation` event about the current user
+const MODERATION_NOTICES = {
+  kick: 'You were removed from',
+  ban: 'You were banned from',
+  unban: 'You were unbanned from',
+  mute: 'You were muted in',
+  unmute: 'You were unmuted in',
+}
+
+function moderationNotice({ action, reason, expiresAt, role, by }, where) {
+  const text = action === 'role' ? `You are now a ${role} of ${where}` : `${MODERATION_NOTICES[action] || action} ${where}`
+  const until = (action === 'ban' || action === 'mute') && expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : ''
+  return `${text}${until} by ${by}${reason ? `: ${reason}` : ''}`
+}
+
+export default function Chat({ username, userId, token, onLogout }) {
+  // conversations, users, rooms, the thread, mentions and the outbox (see store/ChatContext.jsx)
+  const chat = useChat()
+  const { socket, dispatch, buffers, unread, hasMore, users, directory, roomUsers, typing, connected } = chat
+  const { rooms, activeRoom, selectedPrivate, activeKey, thread, mentions, unreadMentions, mentionsOpen } = chat
+  // the server no longer speaks this client's protocol version
+  const [upgradeRequired, setUpgradeRequired] = useState(false)
+  // the presence mode the user chose ('auto' | 'away' | 'dnd'); 'dnd' silences alerts
+  const [presenceMode, setPresenceMode] = useState('auto')
+  // server admins moderate the global chat and every room
+  const [isAdmin, setIsAdmin] = useState(false)
+  const idleRef = useRef(false)
+  const [showSearch, setShowSearch] = useState(false)
+  // message scrolled to and highlighted after a jump from search or mentions
+  const [focusedId, setFocusedId] = useState(null)
+  useEffect(() => {
+    if (focusedId === null) return
+    const timer = setTimeout(() => setFocusedId(null), FOCUS_DURATION)
+    return () => clearTimeout(timer)
+  }, [focusedId])
+  // mute list and alert preferences, persisted per account
+  const [notificationSettings, setNotificationSettings] = useState(() => loadNotificationSettings(userId))
+  useEffect(() => {
+    saveNotificationSettings(userId, notificationSettings)
+  }, [userId, notificationSettings])
+  const alertedIds = useRef(new Set()) // a mentioned message also arrives as a normal message
+  const baseTitle = useRef(document.title)
+
+  // "(3) Chat": unread messages outside muted conversations, plus new mentions
+  useEffect(() => {
+    const total = Object.keys(unread)
+      .filter(key => !isMuted(notificationSettings, key))
+      .reduce((sum, key) => sum + unread[key], unreadMentions)
+    document.title = titleWithBadge(baseTitle.current, total)
+  }, [unread, unreadMentions, notificationSettings])
+  useEffect(() => () => { document.title = baseTitle.current }, [])
+
+  // opens a conversation from outside the component tree (notification clicks)
+  const openConversationRef = useRef(null)
   useEffect(() => {
-    const s = initSocket(username)
-    socketRef.current = s
-    s.connect()
-
-    function addMessage(m) {
-      setMessages(prev => {
-        const out = [...prev, m]
-        return out.slice(-500)
+    openConversationRef.current = (key) => {
+      if (key.startsWith('dm:')) chat.selectPrivate(key.slice(3))
+      else selectRoom(key === GLOBAL_CONVERSATION ? null : key.slice('room:'.length))
+    }
+  })
+
+  // sound and desktop alert for a message from someone else; muted
+  // conversations stay quiet unless the message mentions the user
+  function alertFor(m, key) {
+    if (alertedIds.current.has(m.id)) return
+    alertedIds.current.add(m.id)
+    const mentioned = !!m.mentions?.some(u => u.id === userId)
+    if (presenceMode === 'dnd') return
+    if (isMuted(notificationSettings, key) && !mentioned) return
+    if (notificationSettings.sound) playAlertSound()
+    if (notificationSettings.desktop && document.hidden) {
+      const room = m.room && rooms.find(r => r.id === m.room)
+      const where = m.isPrivate || m.private ? ' (private)' : room ? ` in #${room.name}` : ''
+      showDesktopNotification({
+        title: `${mentioned ? '@ ' : ''}${m.sender}${where}`,
+        body: messagePreview(m),
+        tag: key,
+        onClick: () => openConversationRef.current(key),
       })
     }
+  }
+
+  // alert for messages that count as unread (the store buffers and counts them)
+  function alertIfUnread(m) {
+    const key = conversationKey(m, userId)
+    if (countsAsUnread(chat, m, key, document.hidden)) alertFor(m, key)
+  }
+
+  // the events this page shows beyond the store's; the store adds the messages to their conversations
+  useSocketEvents(socket, {
+    // the server rejects expired or unknown sessions, and outdated clients, during the handshake
+    connect_error: (err) => {
+      if (err && err.message === 'Unauthorized') onLogout()
+      if (err && err.data && err.data.code === 'upgrade_required') setUpgradeRequired(true)
+    },
+    receive_message: alertIfUnread,
+    private_message: (message) => alertIfUnread({ ...message, private: true }),
+    mention: ({ message }) => alertFor(message, conversationKey(message, userId)),
+    moderation: (event) => {
+      const room = event.room && rooms.find(r => r.id === event.room)
+      const where = event.room ? `#${room ? room.name : 'a room'}` : 'the server'
+      chat.addMessage(systemMessage(moderationNotice(event, where)))
+      // a kick or ban has already taken the user out of the room
+      if (event.room && (event.action === 'kick' || event.action === 'ban')) {
+        dispatch({ type: 'room_left', room: event.room })
+      }
+    },
+    // the server slowed the user down or disconnected them for flooding (socket.js
+    // listens too, to reconnect)
+    rate_limited: ({ level, retryAfter }) => {
+      const seconds = Math.ceil(retryAfter / 1000)
+      const text = level === 'disconnect'
+        ? `You were disconnected for sending too much; reconnecting in ${seconds}s`
+        : `You are sending too fast and have been slowed down for ${seconds}s`
+      chat.addMessage(systemMessage(text))
+    },
+  })
 
-    s.on('connect', () => setSocketConnected(true))
-    s.on('disconnect', () => setSocketConnected(false))
-
-    s.on('user_list', (list) => setUsers(list))
-    s.on('user_joined', (payload) => {
-      addMessage({ id: `sys-${Date.now()}`, text: `${payload.username} joined`, sender: 'System', timestamp: new Date().toISOString(), system: true })
-    })
-    s.on('user_left', (payload) => {
-      addMessage({ id: `sys-${Date.now()}`, text: `${payload.username} left`, sender: 'System', timestamp: new Date().toISOString(), system: true })
-    })
-
-    s.on('receive_message', (message) => addMessage(message))
-    s.on('private_message', (message) => addMessage({ ...message, private: true }))
-    s.on('typing_users', (list) => setTypingUsers(list))
-
-    // load initial messages (optional)
-    fetch((import.meta.env.VITE_SERVER_URL || 'http://localhost:5000') + '/api/messages')
-      .then((r) => r.json())
-      .then((data) => setMessages(data || []))
-      .catch(() => {})
-
-    return () => {
-      try {
-        s.off('connect')
-        s.off('disconnect')
-        s.off('user_list')
-        s.off('user_joined')
-        s.off('user_left')
-        s.off('receive_message')
-        s.off('private_message')
-        s.off('typing_users')
-      } catch (e) {}
-      s.disconnect()
+  // a new session starts active on the server; re-report idleness after reconnecting
+  useJoined((ack) => {
+    if (ack && ack.ok) {
+      setPresenceMode(ack.mode || 'auto')
+      setIsAdmin(!!ack.admin)
     }
-  }, [username])
+    if (idleRef.current) socket.emit('set_idle', { idle: true })
+  })
 
-  function sendMessage(text) {
-    const s = getSocket()
-    if (selectedPrivate) {
-      s.emit('private_message', { to: selectedPrivate, text }, (ack) => {
-        // optional ack handling
-      })
-    } else {
-      s.emit('send_message', { text }, (ack) => {
-        // optional ack handling
-      })
+  function uploadAttachment(file) {
+    return uploadFile(file, token)
+  }
+
+  // the server parses drafts exactly as it will parse the sent message
+  async function previewFormatting(text) {
+    const ack = await emitWithAck(socket, 'format_preview', { text })
+    if (!ack || !ack.ok) throw new Error((ack && ack.error) || 'Preview failed')
+    return ack.content
+  }
+
+  async function editMessage(message, text) {
+    const ack = await emitWithAck(socket, 'edit_message', { messageId: message.id, text }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not edit the message')
+  }
+
+  async function deleteMessage(message) {
+    const ack = await emitWithAck(socket, 'delete_message', { messageId: message.id }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not delete the message')
+  }
+
+  // toggle the current user's `emoji` reaction on a message
+  async function toggleReaction(message, emoji) {
+    const reacted = (message.reactions?.[emoji] || []).some(r => r.id === userId)
+    const event = reacted ? 'remove_reaction' : 'add_reaction'
+    const ack = await emitWithAck(socket, event, { messageId: message.id, emoji }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not update the reaction')
+  }
+
+  // switch to a room or back to the global chat (null); resolves false if the
+  // room could not be joined
+  async function selectRoom(roomId) {
+    const result = await chat.selectRoom(roomId)
+    if (!result.ok) window.alert(result.error)
+    return result.ok
+  }
+
+  async function updateRoom(changes) {
+    const ack = await emitWithAck(socket, 'update_room', { roomId: activeRoom, ...changes }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not update the room')
+  }
+
+  async function deleteRoom() {
+    const ack = await emitWithAck(socket, 'delete_room', { roomId: activeRoom }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not delete the room')
+  }
+
+  async function leaveRoom() {
+    const ack = await emitWithAck(socket, 'leave_room', activeRoom).catch(() => null)
+    if (ack && ack.ok) dispatch({ type: 'room_left', room: activeRoom })
+    else window.alert((ack && ack.error) || 'Could not leave the room')
+  }
+
+  // moderate the sender of `message` where it was posted (the global chat: server-wide)
+  async function moderate(message, action, options = {}) {
+    const target = { roomId: message.room || undefined, userId: message.senderId }
+    let payload = { ...target, ...options }
+    if (action === 'kick' || action === 'ban' || action === 'mute') {
+      const reason = window.prompt(`Reason for the ${action} of ${message.sender} (optional)`, '')
+      if (reason === null) return
+      payload = { ...payload, reason }
     }
+    const event = action === 'role' ? 'set_role' : `${action}_user`
+    const ack = await emitWithAck(socket, event, payload).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not moderate the user')
+  }
+
+  async function setSlowMode(seconds) {
+    const ack = await emitWithAck(socket, 'set_slow_mode', { roomId: activeRoom, seconds }).catch(() => null)
+    if (!ack || !ack.ok) window.alert((ack && ack.error) || 'Could not change slow mode')
   }
 
   function sendTyping(isTyping) {
-    const s = getSocket()
-    s.emit('typing', { isTyping })
+    // typing is shown per room; private conversations do not report it
+    if (selectedPrivate) return
+    chat.sendTyping(isTyping, activeRoom)
+  }
+
+  // open the conversation (and thread) a message was sent in and scroll to it
+  async function jumpToMessage(message) {
+    const key = conversationKey(message, userId)
+    if (key.startsWith('dm:')) {
+      chat.selectPrivate(key.slice(3))
+    } else {
+      if (!(await selectRoom(message.room || null))) return
+      await chat.loadHistoryBackTo(message.room || null, message.id)
+    }
+    // private history is not paged from the server; place the message by time if we lack it
+    dispatch({ type: 'message_placed', key, message })
+    setFocusedId(message.id)
+    if (message.threadId !== undefined) chat.openThread(message)
+  }
+
+  // resolves { terms, results, hasMore } from the search API
+  function searchMessages({ q, room, sender, from }) {
+    const params = new URLSearchParams({ q })
+    if (room) params.set('room', room)
+    if (sender) params.set('sender', sender)
+    // the date picker gives a local calendar day
+    if (from) params.set('from', new Date(`${from}T00:00`).toISOString())
+    return apiRequest(`/api/search?${params}`, { token })
   }
 
+  // report idleness so others see the user as away
+  useEffect(() => watchIdle((idle) => {
+    idleRef.current = idle
+    socket.emit('set_idle', { idle })
+  }), [socket])
+
+  async function changeStatus(changes) {
+    const ack = await emitWithAck(socket, 'set_status', changes).catch(() => null)
+    if (ack && ack.ok) {
+      setPresenceMode(ack.mode)
+      dispatch({ type: 'presence', users: [ack.presence] })
+    } else {
+      window.alert((ack && ack.error) || 'Could not update your status')
+    }
+  }
+
+  function toggleMuted(key) {
+    setNotificationSettings(settings => toggleMute(settings, key))
+  }
+
+  async function setDesktopAlerts(enabled) {
+    const granted = enabled ? await requestDesktopPermission() : false
+    if (enabled && !granted) window.alert('Notifications are blocked for this site in your browser settings')
+    setNotificationSettings(settings => ({ ...settings, desktop: granted }))
+  }
+
+  const currentRoom = rooms.find(r => r.id === activeRoom) || null
+  // people whose presence we do not get (no shared room or conversation yet)
+  const otherPeople = directory.filter(u => u.id !== userId && !users.some(p => p.id === u.id))
+  const selectedUser = users.find(u => u.id === selectedPrivate) || otherPeople.find(u => u.id === selectedPrivate)
+  // admins moderate the global chat; room owners and moderators their room
+  const canModerateHere = !selectedPrivate && (isAdmin || (!!currentRoom && isModerator(currentRoom, userId)))
+  const mentionCandidates = [
+    ...(currentRoom && !selectedPrivate ? ['room'] : []),
+    ...users.filter(u => u.id !== userId).map(u => u.username),
+  ]
+  const typingHere = selectedPrivate ? [] : typing[roomKey(activeRoom)] || []
+
   return (
     <div className="chat-root">
       <aside className="sidebar">
         <div className="sidebar-header">
           <div>
             <strong>{username}</strong>
-            <div className={`status ${socketConnected ? 'online' : 'offline'}`}>{socketConnected ? 'Online' : 'Offline'}</div>
+            <StatusPicker
+              connected={connected}
+              presence={users.find(u => u.id === userId)}
+              mode={presenceMode}
+              onChange={changeStatus}
+            />
           </div>
           <button className="btn small" onClick={onLogout}>Logout</button>
         </div>
 
+        <div className="alert-settings">
+          <label>
+            <input
+              type="checkbox"
+              checked={notificationSettings.sound}
+              onChange={(e) => setNotificationSettings(settings => ({ ...settings, sound: e.target.checked }))}
+            />
+            Sound
+          </label>
+          {desktopNotificationsSupported() && (
+            <label>
+              <input type="checkbox" checked={notificationSettings.desktop} onChange={(e) => setDesktopAlerts(e.target.checked)} />
+              Desktop alerts
+            </label>
+          )}
+        </div>
+
+        <RoomList
+          rooms={rooms}
+          activeRoom={selectedPrivate ? undefined : activeRoom}
+          currentUserId={userId}
+          unread={unread}
+          muted={notificationSettings.muted}
+          onSelect={selectRoom}
+          onCreate={chat.createRoom}
+        />
+
+        <button
+          className="link-btn mentions-toggle"
+          onClick={() => {
+            chat.toggleMentions(!mentionsOpen)
+            setShowSearch(false)
+          }}
+        >
+          @ Mentions
+          {unreadMentions > 0 && <span className="unread">{unreadMentions}</span>}
+        </button>
+        <button
+          className="link-btn mentions-toggle"
+          onClick={() => {
+            setShowSearch(!showSearch)
+            chat.toggleMentions(false)
+          }}
+        >
+          🔍 Search
+        </button>
+
         <h4>Users</h4>
         <ul className="user-list">
-          {users.map(u => (
-            <li key={u.id} className={u.id === selectedPrivate ? 'selected' : ''}>
-              <button className="link-btn" onClick={() => setSelectedPrivate(u.id === selectedPrivate ? null : u.id)}>
+          {sortByPresence(users).map(u => (
+            <li key={u.id} className={`${u.id === selectedPrivate ? 'selected' : ''} ${u.state === 'offline' ? 'offline' : ''}`}>
+              <button className="link-btn" onClick={() => chat.selectPrivate(u.id === selectedPrivate ? null : u.id)}>
+                <span className={`presence-dot ${u.state}`} title={PRESENCE_LABELS[u.state]} />
                 <span className="user-name">{u.username}</span>
+                {u.sessions > 1 && <span className="sessions" title="Open sessions">×{u.sessions}</span>}
                 {u.id === selectedPrivate && <span className="badge">Private</span>}
+                {isMuted(notificationSettings, dmKey(u.id)) && <span className="muted-icon" title="Muted">🔕</span>}
+                {unread[dmKey(u.id)] > 0 && (
+                  <span className={`unread ${isMuted(notificationSettings, dmKey(u.id)) ? 'muted' : ''}`}>{unread[dmKey(u.id)]}</span>
+                )}
+                {(u.status || u.state === 'offline') && <div className="user-status">{presenceDetail(u)}</div>}
               </button>
             </li>
           ))}
         </ul>
+        {otherPeople.length > 0 && (
+          <>
+            <h4>Other people</h4>
+            <ul className="user-list">
+              {otherPeople.map(u => (
+                <li key={u.id} className={u.id === selectedPrivate ? 'selected' : ''}>
+                  <button className="link-btn" onClick={() => chat.selectPrivate(u.id === selectedPrivate ? null : u.id)}>
+                    <span className="user-name">{u.username}</span>
+                    {u.id === selectedPrivate && <span className="badge">Private</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
 
         <div className="typing">
-          {typingUsers.length > 0 && <em>{typingUsers.join(', ')} typing...</em>}
+          {typingHere.length > 0 && <em>{typingHere.join(', ')} typing...</em>}
         </div>
       </aside>
 
       <main className="main">
-        <MessageList messages={messages} currentUser={username} selectedPrivate={selectedPrivate} />
-        <MessageInput onSend={sendMessage} onTyping={sendTyping} />
+        {upgradeRequired && (
+          <div className="upgrade-required form-error">
+            This version of the chat is out of date.{' '}
+            <button className="link-btn" onClick={() => window.location.reload()}>Reload to update</button>
+          </div>
+        )}
+        {selectedPrivate ? (
+          <header className="room-header">
+            <strong>@ {selectedUser ? selectedUser.username : 'Direct message'}</strong>
+            <span className="topic">
+              {selectedUser?.state ? `${PRESENCE_LABELS[selectedUser.state]} · ${presenceDetail(selectedUser) || 'Private conversation'}` : 'Private conversation'}
+            </span>
+            <span className="room-actions">
+              <button className="link-btn" onClick={() => toggleMuted(activeKey)}>
+                {isMuted(notificationSettings, activeKey) ? 'Unmute' : 'Mute'}
+              </button>
+            </span>
+          </header>
+        ) : (
+          <RoomHeader
+            room={currentRoom}
+            onlineUsers={roomUsers[activeRoom] || []}
+            currentUserId={userId}
+            muted={isMuted(notificationSettings, activeKey)}
+            onToggleMute={() => toggleMuted(activeKey)}
+            onUpdate={updateRoom}
+            onDelete={deleteRoom}
+            onLeave={leaveRoom}
+            canModerate={canModerateHere}
+            onSlowMode={setSlowMode}
+          />
+        )}
+        <MessageList
+          messages={buffers[activeKey] || []}
+          currentUser={username}
+          currentUserId={userId}
+          token={token}
+          view={activeKey}
+          focusId={focusedId}
+          onRead={chat.markRead}
+          hasMore={!!hasMore[activeKey]}
+          onLoadOlder={selectedPrivate ? null : () => chat.loadOlder(activeRoom)}
+          canModerate={!selectedPrivate && !!currentRoom && isModerator(currentRoom, userId)}
+          onEdit={editMessage}
+          onDelete={deleteMessage}
+          onModerate={canModerateHere ? moderate : null}
+          room={selectedPrivate ? null : currentRoom}
+          canSetRole={!!currentRoom && roleOf(currentRoom, userId) === 'owner'}
+          onReact={toggleReaction}
+          onOpenThread={selectedPrivate ? null : chat.openThread}
+          onRetry={chat.retryMessage}
+          onDiscard={chat.discardMessage}
+        />
+        <MessageInput
+          onSend={chat.sendMessage}
+          onTyping={sendTyping}
+          onUpload={uploadAttachment}
+          onPreview={previewFormatting}
+          mentionCandidates={mentionCandidates}
+        />
       </main>
+
+      {mentionsOpen && !thread && (
+        <MentionsPanel
+          mentions={mentions}
+          rooms={rooms}
+          currentUserId={userId}
+          onJump={jumpToMessage}
+          onClose={() => chat.toggleMentions(false)}
+        />
+      )}
+
+      {showSearch && !thread && (
+        <SearchPanel
+          rooms={rooms}
+          users={users}
+          currentUserId={userId}
+          onSearch={searchMessages}
+          onJump={jumpToMessage}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {thread && (
+        <ThreadPanel
+          thread={thread}
+          currentUser={username}
+          currentUserId={userId}
+          onReply={chat.sendReply}
+          onReact={toggleReaction}
+          onClose={chat.closeThread}
+        />
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
@@ -1,13 +1,33 @@
 import React, { useState } from 'react'
+import { login, register } from '../utils/api.js'
 
 export default function Login({ onLogin }) {
+  const [mode, setMode] = useState('login') // 'login' | 'register'
   const [name, setName] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
 
-  function submit(e) {
+  const isRegister = mode === 'register'
+
+  async function submit(e) {
     e && e.preventDefault()
     const trimmed = name.trim()
-    if (!trimmed) return
-    onLogin(trimmed)
+    if (!trimmed || !password) return
+    setBusy(true)
+    setError('')
+    try {
+      const session = isRegister ? await register(trimmed, password) : await login(trimmed, password)
+      onLogin(session)
+    } catch (err) {
+      setError(err.message || 'Could not reach the server')
+      setBusy(false)
+    }
+  }
+
+  function toggleMode() {
+    setMode(isRegister ? 'login' : 'register')
+    setError('')
   }
 
   return (
@@ -15,13 +35,27 @@ export default function Login({ onLogin }) {
       <form className="login-card" onSubmit={submit}>
         <h2>Welcome to Socket Chat</h2>
         <input
-          maxLength={50}
-          placeholder="Enter a display name"
+          maxLength={30}
+          placeholder="Username"
+          autoComplete="username"
           value={name}
           onChange={(e) => setName(e.target.value)}
         />
-        <button type="submit" className="btn">Join Chat</button>
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <div className="form-error">{error}</div>}
+        <button type="submit" className="btn" disabled={busy}>
+          {isRegister ? 'Create account' : 'Log in'}
+        </button>
+        <button type="button" className="link-btn switch-mode" onClick={toggleMode}>
+          {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </button>
       </form>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -1,54 +1,126 @@
 // client/src/socket/socket.js
-// Improved Socket.io client manager + React hook
-// - Matches server ack-style handlers (accepts { username } payload on user_join)
-// - Uses lazy init, avoids duplicate listeners
-// - Exposes initSocket/getSocket and a useSocket hook
-// - sendMessage/sendPrivateMessage return Promises that resolve when server acks
+// Improved Socket.io client manager + React hooks
+// - Matches server ack-style handlers (user_join announces the authenticated user)
+// - Sends the session token and protocol version in the handshake `auth` payload
+// - Checks outgoing payloads against shared/protocol.mjs (and, in development,
+//   incoming ones too)
+// - Uses lazy init, avoids duplicate listeners; a different user gets a new socket
+// - Exposes initSocket/getSocket, emitWithAck (a Promise for the server's ack),
+//   ackError and the useSocket/useSocketEvents/useJoined hooks used by store/ChatContext.jsx
 
 import { io } from 'socket.io-client'
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useLayoutEffect, useMemo, useRef } from 'react'
+import { PROTOCOL_VERSION, checkClientEvent, checkServerEvent } from '../../../shared/protocol.mjs'
 
 const DEFAULT_SERVER = import.meta.env.VITE_SERVER_URL || 'http://localhost:5000'
 
 let socketInstance = null
-
-export function initSocket({ serverUrl = DEFAULT_SERVER, username } = {}) {
+// the username the socket was built for
+let socketUser = null
+// read on every (re)connect so a new login is picked up by the existing socket
+let authToken = null
+// called with the user_join ack after every (re)connect
+const joinListeners = new Set()
+// while the user keeps typing, `typing: true` is repeated this often (ms);
+// the server expires typing state that stops being refreshed
+const TYPING_REFRESH = 2000
+
+// The socket singleton, built on first use. Passing another `username` than
+// the one it was built for closes it and builds a new one, so nothing (rooms,
+// listeners, recovery state) carries over from the previous user.
+export function initSocket({ serverUrl = DEFAULT_SERVER, token, username } = {}) {
+  if (token) authToken = token
+  if (socketInstance && username && username !== socketUser) resetSocket()
   if (socketInstance) return socketInstance
 
-  socketInstance = io(serverUrl, {
+  socketUser = username || null
+  const s = io(serverUrl, {
     autoConnect: false,
+    auth: (cb) => cb({ token: authToken, protocol: PROTOCOL_VERSION }),
     transports: ['websocket', 'polling'],
     reconnection: true,
     reconnectionAttempts: 5,
     reconnectionDelay: 1000,
   })
 
-  // When the socket connects, let the server know who we are (with ack)
-  socketInstance.on('connect', () => {
-    if (username) {
-      // Server expects an object payload { username } and may ack
-      socketInstance.emit('user_join', { username }, (ack) => {
-        // optional: handle ack (ack === { ok: true, id: ... })
-        // console.debug('user_join ack', ack)
-      })
-    }
+  // When the socket connects, announce ourselves (the server knows who we are from the token)
+  s.on('connect', () => {
+    s.emit('user_join', {}, (ack) => {
+      // ack === { ok: true, id, username, mode, admin, protocol }
+      joinListeners.forEach((listener) => listener(ack))
+    })
+  })
+
+  // A user disconnected for flooding may come back once the block ends; the
+  // server refuses them until then (connect_error "Rate limited")
+  s.on('rate_limited', ({ level, retryAfter }) => {
+    if (level === 'disconnect') setTimeout(() => s === socketInstance && s.connect(), retryAfter + 1000)
   })
 
   // Basic error logging
-  socketInstance.on('connect_error', (err) => {
+  s.on('connect_error', (err) => {
     console.error('Socket connect_error', err)
   })
 
-  return socketInstance
+  // Flag server events that drift from the shared protocol while developing
+  if (import.meta.env.DEV) {
+    s.onAny((event, payload) => {
+      const problem = checkServerEvent(event, payload)
+      if (problem) console.warn(`Unexpected ${event} payload: ${problem}`, payload)
+    })
+  }
+
+  socketInstance = s
+  return s
+}
+
+// Close the socket singleton and drop it with all its listeners; the next
+// initSocket builds a new one
+export function resetSocket() {
+  if (!socketInstance) return
+  const s = socketInstance
+  socketInstance = null
+  socketUser = null
+  s.offAny()
+  s.off()
+  s.disconnect()
 }
 
 export function getSocket() {
-  if (!socketInstance) throw new Error('Socket not initialized. Call initSocket({ username }) first.')
+  if (!socketInstance) throw new Error('Socket not initialized. Call initSocket({ token }) first.')
   return socketInstance
 }
 
-// Helper that returns a Promise for emits that support an ack callback
-function emitWithAck(socket, event, payload, timeout = 5000) {
+// Run `listener(ack)` each time the server acknowledges user_join; returns an unsubscribe function
+export function onJoined(listener) {
+  joinListeners.add(listener)
+  return () => joinListeners.delete(listener)
+}
+
+// Wrap `emit(isTyping, room)` so keystrokes send `true` at most every
+// TYPING_REFRESH ms, and `false` only after a `true` (to the room it went to)
+export function throttleTyping(emit, refresh = TYPING_REFRESH) {
+  let sent = null // { room, at } of the last `true`
+  return (isTyping, room = null) => {
+    const now = Date.now()
+    if (!isTyping) {
+      if (sent) emit(false, sent.room)
+      sent = null
+      return
+    }
+    if (sent && sent.room === room && now - sent.at < refresh) return
+    if (sent && sent.room !== room) emit(false, sent.room)
+    sent = { room, at: now }
+    emit(true, room)
+  }
+}
+
+// Helper that returns a Promise for emits that support an ack callback.
+// A payload the server would reject resolves its { ok: false, code, error } ack
+// without being sent.
+export function emitWithAck(socket, event, payload, timeout = 5000) {
+  const { code, error } = checkClientEvent(event, payload)
+  if (error) return Promise.resolve({ ok: false, code, error })
   return new Promise((resolve, reject) => {
     let called = false
     function onAck(response) {
@@ -65,7 +137,7 @@ function emitWithAck(socket, event, payload, timeout = 5000) {
           resolve(res || true)
         }
       })
-    } catch (e) {
+    } catch {
       // Fallback: use classic emit with ack if available
       try {
         socket.emit(event, payload, onAck)
@@ -80,156 +152,61 @@ function emitWithAck(socket, event, payload, timeout = 5000) {
   })
 }
 
-// React hook that wires up socket events and exposes actions/state
-export function useSocket({ serverUrl = DEFAULT_SERVER, username } = {}) {
-  const [isConnected, setIsConnected] = useState(false)
-  const [messages, setMessages] = useState([])
-  const [lastMessage, setLastMessage] = useState(null)
-  const [users, setUsers] = useState([])
-  const [typingUsers, setTypingUsers] = useState([])
-  const socketRef = useRef(null)
-
-  useEffect(() => {
-    // Initialize socket with optional username
-    const s = initSocket({ serverUrl, username })
-    socketRef.current = s
-
-    // Connect if not connected
-    if (!s.connected) s.connect()
-
-    // Handlers
-    function handleConnect() {
-      setIsConnected(true)
-    }
-    function handleDisconnect() {
-      setIsConnected(false)
-    }
-    function handleReceiveMessage(message) {
-      setLastMessage(message)
-      setMessages((prev) => [...prev, message])
-    }
-    function handlePrivateMessage(message) {
-      setLastMessage(message)
-      setMessages((prev) => [...prev, { ...message, private: true }])
-    }
-    function handleUserList(list) {
-      setUsers(list)
-    }
-    function handleUserJoined(payload) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: `sys-${Date.now()}`,
-          system: true,
-          text: `${payload.username} joined`,
-          timestamp: new Date().toISOString(),
-        },
-      ])
-    }
-    function handleUserLeft(payload) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: `sys-${Date.now()}`,
-          system: true,
-          text: `${payload.username} left`,
-          timestamp: new Date().toISOString(),
-        },
-      ])
-    }
-    function handleTypingUsers(list) {
-      setTypingUsers(list)
-    }
-
-    // Register listeners
-    s.on('connect', handleConnect)
-    s.on('disconnect', handleDisconnect)
-    s.on('receive_message', handleReceiveMessage)
-    s.on('private_message', handlePrivateMessage)
-    s.on('user_list', handleUserList)
-    s.on('user_joined', handleUserJoined)
-    s.on('user_left', handleUserLeft)
-    s.on('typing_users', handleTypingUsers)
-
-    // Try to load initial messages via HTTP (best-effort)
-    fetch((import.meta.env.VITE_SERVER_URL || DEFAULT_SERVER) + '/api/messages')
-      .then((r) => r.json())
-      .then((data) => {
-        if (Array.isArray(data)) {
-          setMessages(data)
-        }
-      })
-      .catch(() => {
-        // ignore
-      })
+// The text of an error ack (null for no ack, e.g. a timeout), with when a ban or mute ends
+export function ackError(ack, fallback) {
+  if (!ack) return fallback
+  if (ack.until === null) return `${ack.error} permanently`
+  if (ack.until) return `${ack.error} until ${new Date(ack.until).toLocaleString()}`
+  return ack.error || fallback
+}
 
-    // Cleanup on unmount
-    return () => {
-      try {
-        s.off('connect', handleConnect)
-        s.off('disconnect', handleDisconnect)
-        s.off('receive_message', handleReceiveMessage)
-        s.off('private_message', handlePrivateMessage)
-        s.off('user_list', handleUserList)
-        s.off('user_joined', handleUserJoined)
-        s.off('user_left', handleUserLeft)
-        s.off('typing_users', handleTypingUsers)
-      } catch (e) {
-        // ignore
-      }
-      // do not fully close the socket here if you expect it to persist across pages.
-      // If you want to disconnect when the hook unmounts, uncomment next line:
-      // s.disconnect()
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [serverUrl, username]) // re-run if serverUrl or username changes
-
-  // Actions
-  const connect = (name) => {
-    const s = socketRef.current || initSocket({ serverUrl, username: name })
-    if (!s.connected) s.connect()
-    if (name) s.emit('user_join', { username: name })
-  }
+// Keep `handlers` ({ [event]: listener }) subscribed to `socket` while mounted.
+// The newest handlers are called, so they may use the current render's state,
+// and exactly those listeners are removed again (never every listener of an event).
+export function useSocketEvents(socket, handlers) {
+  const handlersRef = useRef(handlers)
+  useLayoutEffect(() => {
+    handlersRef.current = handlers
+  })
+  const events = Object.keys(handlers).join(',')
 
-  const disconnect = () => {
-    const s = socketRef.current
-    if (s && s.connected) s.disconnect()
-  }
+  useEffect(() => {
+    if (!socket) return undefined
+    const listeners = Object.keys(handlersRef.current).map((event) => {
+      const listener = (...args) => handlersRef.current[event]?.(...args)
+      socket.on(event, listener)
+      return [event, listener]
+    })
+    return () => listeners.forEach(([event, listener]) => socket.off(event, listener))
+  }, [socket, events])
+}
 
-  // send message with ack; resolves ack object or throws on error
-  const sendMessage = async (text, room = null) => {
-    const s = socketRef.current
-    if (!s) throw new Error('Socket not initialized')
-    const payload = { text, room }
-    return emitWithAck(s, 'send_message', payload)
-  }
+// Call the newest `listener(ack)` on every user_join ack while mounted
+export function useJoined(listener) {
+  const listenerRef = useRef(listener)
+  useLayoutEffect(() => {
+    listenerRef.current = listener
+  })
+  useEffect(() => onJoined((ack) => listenerRef.current(ack)), [])
+}
 
-  const sendPrivateMessage = async (toSocketId, text) => {
-    const s = socketRef.current
-    if (!s) throw new Error('Socket not initialized')
-    const payload = { to: toSocketId, text }
-    return emitWithAck(s, 'private_message', payload)
-  }
+// Connect the socket singleton for the signed-in user while mounted, with
+// `handlers` subscribed before it connects; returns the socket (null without a
+// token). Another user re-initialises the singleton (see initSocket).
+export function useSocket({ serverUrl = DEFAULT_SERVER, token, username, handlers = {} } = {}) {
+  const socket = useMemo(
+    () => (token ? initSocket({ serverUrl, token, username }) : null),
+    [serverUrl, token, username],
+  )
+  useSocketEvents(socket, handlers)
 
-  const setTyping = (isTyping, room = null) => {
-    const s = socketRef.current
-    if (!s) return
-    s.emit('typing', { isTyping, room })
-  }
+  useEffect(() => {
+    if (!socket) return undefined
+    socket.connect()
+    return () => socket.disconnect()
+  }, [socket])
 
-  return {
-    socket: socketRef.current,
-    isConnected,
-    lastMessage,
-    messages,
-    users,
-    typingUsers,
-    connect,
-    disconnect,
-    sendMessage,
-    sendPrivateMessage,
-    setTyping,
-  }
+  return socket
 }
 
 export default initSocket
\ No newline at end of file
@@ -0,0 +1,331 @@
+// client/src/store/ChatContext.jsx
+// The chat state layer: the signed-in user's socket (useSocket) feeding one
+// reducer (chatReducer.js), shared with the page through useChat() (useChat.js).
+// Conversations, users, typing, connection status, rooms, the open thread, the
+// mentions inbox and the outbox live here, with the requests that change them;
+// the page keeps its own UI state and handles the events it only shows
+// (alerts, moderation notices...).
+
+import React, { useEffect, useReducer, useRef } from 'react'
+import { useSocket, useJoined, getSocket, emitWithAck, ackError, throttleTyping } from '../socket/socket.js'
+import {
+  GLOBAL_CONVERSATION,
+  roomKey,
+  conversationKey,
+  receiptKey,
+  syncConversation,
+  syncKey,
+  systemMessage,
+  tombstone,
+} from '../utils/messages.js'
+import { apiRequest } from '../utils/api.js'
+import { loadOutbox, saveEntry, removeEntry, createEntry, retryDelay } from '../utils/outbox.js'
+import { chatReducer, createChatState } from './chatReducer.js'
+import { ChatContext } from './useChat.js'
+
+// first protocol version that numbers messages and answers `sync`
+const SYNC_PROTOCOL = 3
+// history pages fetched at most when jumping back to an older message
+const MAX_JUMP_PAGES = 10
+
+// The initial state, with what the outbox still holds from an earlier visit
+function initChatState({ userId, username }) {
+  return createChatState({ userId, username, outbox: loadOutbox(userId) })
+}
+
+// Render inside a provider keyed by the user, so another user starts from an
+// empty state (the socket is re-initialised for them too)
+export function ChatProvider({ token, userId, username, children }) {
+  const [state, dispatch] = useReducer(chatReducer, { userId, username }, initChatState)
+  // conversation key -> timestamp of the newest message we have reported read
+  const readUpTo = useRef({})
+  // rooms whose newest history page was fetched
+  const loadedRooms = useRef(new Set())
+
+  function addMessage(message) {
+    dispatch({ type: 'message', message, hidden: document.hidden })
+  }
+
+  const socket = useSocket({
+    token,
+    username,
+    handlers: {
+      connect: () => dispatch({ type: 'connected' }),
+      disconnect: () => dispatch({ type: 'disconnected' }),
+      user_list: (users) => dispatch({ type: 'user_list', users }),
+      presence_update: ({ users }) => dispatch({ type: 'presence', users }),
+      room_users: ({ room, users }) => dispatch({ type: 'room_users', room, users }),
+      user_added: ({ room, user }) => dispatch({ type: 'room_user', room, user, present: true }),
+      user_removed: ({ room, userId: id }) => dispatch({ type: 'room_user', room, user: { id }, present: false }),
+      user_joined: (payload) => addMessage(systemMessage(`${payload.username} joined`)),
+      user_left: (payload) => addMessage(systemMessage(`${payload.username} left`)),
+      receive_message: addMessage,
+      room_list: (rooms) => dispatch({ type: 'room_list', rooms }),
+      room_updated: (room) => dispatch({ type: 'room_updated', room }),
+      room_deleted: ({ id }) => dispatch({ type: 'room_deleted', id }),
+      user_joined_room: (member) => dispatch({ type: 'room_membership', member, joined: true }),
+      user_left_room: (member) => dispatch({ type: 'room_membership', member, joined: false }),
+      // mentions arrive from any room, including ones not on screen
+      mention: ({ message }) => dispatch({ type: 'mention', message }),
+      // ack so the server can mark the message delivered (queued messages arrive on join)
+      private_message: (message, ack) => {
+        addMessage({ ...message, private: true })
+        if (typeof ack === 'function') ack({ ok: true })
+      },
+      message_status: ({ messageId, status, deliveredAt }) => {
+        dispatch({ type: 'message_patched', id: messageId, changes: { status, deliveredAt } })
+      },
+      message_updated: (message) => dispatch({ type: 'message_patched', id: message.id, changes: message }),
+      message_deleted: (event) => dispatch({ type: 'message_patched', id: event.messageId, changes: tombstone(event) }),
+      reaction_updated: ({ messageId, reactions }) => dispatch({ type: 'message_patched', id: messageId, changes: { reactions } }),
+      receipt_updated: (receipt) => {
+        dispatch({ type: 'receipt', receipt })
+        if (receipt.userId === userId) noteRead(receiptKey(receipt, userId), receipt.type === 'read' ? receipt.upTo : null)
+      },
+      typing_users: ({ room, users }) => dispatch({ type: 'typing', key: roomKey(room), users }),
+    },
+  })
+
+  // a recovered connection already replayed what was missed; otherwise fetch it
+  // rooms are rejoined by now, so the outbox can go out too
+  useJoined((ack) => {
+    if (!ack || !ack.ok) return
+    dispatch({ type: 'joined' })
+    const since = state.syncFrom
+    dispatch({ type: 'sync_started' })
+    if (since && !socket.recovered && ack.protocol >= SYNC_PROTOCOL) catchUp(since)
+  })
+
+  useEffect(() => {
+    function handleVisibility() {
+      if (!document.hidden) dispatch({ type: 'tab_shown' })
+    }
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => document.removeEventListener('visibilitychange', handleVisibility)
+  }, [])
+
+  // everyone who can be messaged privately, beyond the peers whose presence we get
+  useEffect(() => {
+    apiRequest('/api/users', { token })
+      .then((users) => dispatch({ type: 'directory', users }))
+      .catch(() => {})
+  }, [token])
+
+  // the mentions inbox
+  useEffect(() => {
+    apiRequest('/api/mentions', { token })
+      .then((data) => dispatch({ type: 'mentions_loaded', messages: data.messages || [] }))
+      .catch(() => {})
+  }, [token])
+
+  // load the newest page of the global chat (optional)
+  useEffect(() => {
+    apiRequest('/api/messages', { token })
+      .then((data) => {
+        dispatch({ type: 'history', key: GLOBAL_CONVERSATION, messages: data.messages || [], hasMore: data.hasMore })
+        noteRead(GLOBAL_CONVERSATION, data.readUpTo?.timestamp)
+      })
+      .catch(() => {})
+  }, [token])
+
+  // fetch every conversation's messages after the seq we last held, a page at
+  // a time; on failure the gap stays until history is scrolled back
+  async function catchUp(since) {
+    let pending = Object.keys(since).map(key => syncConversation(key, since[key]))
+    while (pending.length) {
+      const ack = await emitWithAck(socket, 'sync', { conversations: pending }).catch(() => null)
+      if (!ack || !ack.ok) return
+      pending = []
+      ack.conversations.forEach((conversation) => {
+        const { messages } = conversation
+        const key = syncKey(conversation)
+        if (messages.length) {
+          const missed = conversation.with ? messages.map(m => ({ ...m, private: true })) : messages
+          dispatch({ type: 'messages_missed', key, messages: missed, hidden: document.hidden })
+        }
+        if (conversation.readUpTo) noteRead(key, conversation.readUpTo.timestamp)
+        if (conversation.hasMore && messages.length) pending.push(syncConversation(key, messages[messages.length - 1].seq))
+      })
+    }
+  }
+
+  // remember how far a conversation is read (from history or another session)
+  function noteRead(key, timestamp) {
+    const current = readUpTo.current[key]
+    if (timestamp && (!current || Date.parse(timestamp) > Date.parse(current))) readUpTo.current[key] = timestamp
+  }
+
+  // report a message that scrolled into view as read, unless the tab is hidden
+  // or the conversation is already read that far
+  function markRead(message) {
+    if (document.hidden || message.system || message.senderId === userId) return
+    const key = conversationKey(message, userId)
+    const current = readUpTo.current[key]
+    if (current && Date.parse(current) >= Date.parse(message.timestamp)) return
+    noteRead(key, message.timestamp)
+    const room = message.isPrivate || message.private ? null : message.room || null
+    socket.emit('read_message', { messageId: message.id, room })
+  }
+
+  // fetch the page before the oldest message we hold for a room
+  async function loadOlder(room) {
+    const key = roomKey(room)
+    const oldest = (state.buffers[key] || []).find(m => !m.system)
+    try {
+      const ack = await emitWithAck(socket, 'fetch_history', { room, before: oldest?.id, limit: 50 })
+      if (ack && ack.ok) {
+        dispatch({ type: 'history', key, messages: ack.messages, hasMore: ack.hasMore })
+        noteRead(key, ack.readUpTo?.timestamp)
+      }
+    } catch {
+      // ack timeout; the user can scroll up again to retry
+    }
+  }
+
+  // page back through a room's history until `messageId` is among the pages;
+  // the pages are merged into the buffer so the message shows in context
+  async function loadHistoryBackTo(room, messageId) {
+    const pages = []
+    let before
+    let exhausted = false
+    for (let i = 0; i < MAX_JUMP_PAGES; i += 1) {
+      const ack = await emitWithAck(socket, 'fetch_history', { room, before, limit: 50 }).catch(() => null)
+      if (!ack || !ack.ok) break
+      pages.unshift(...ack.messages)
+      exhausted = !ack.hasMore
+      if (!ack.hasMore || ack.messages.length === 0 || ack.messages.some(m => m.id === messageId)) break
+      before = ack.messages[0].id
+    }
+    dispatch({ type: 'history', key: roomKey(room), messages: pages, hasMore: exhausted ? false : undefined })
+  }
+
+  // Keep the saved outbox (see utils/outbox.js) in step with the store's: save
+  // new and changed entries, remove the ones that were sent or discarded
+  const savedOutbox = useRef(state.outbox)
+  useEffect(() => {
+    const saved = savedOutbox.current
+    state.outbox.forEach(entry => {
+      if (!saved.includes(entry)) saveEntry(userId, entry)
+    })
+    saved.forEach(entry => {
+      if (!state.outbox.some(e => e.clientId === entry.clientId)) removeEntry(userId, entry.clientId)
+    })
+    savedOutbox.current = state.outbox
+  }, [userId, state.outbox])
+
+  // Send the outbox in order, one message at a time, while joined. A message the
+  // server refuses for good is marked failed and skipped; after a timeout, rate
+  // limit or slow mode it is resent after a wait, holding back the ones behind
+  // it. Every attempt ends in an outbox action, which runs this again.
+  const sending = useRef(false)
+  useEffect(() => {
+    if (sending.current || !state.joined) return
+    const entry = state.outbox.find(e => !e.message.failed)
+    if (!entry) return
+    sending.current = true
+    sendEntry(entry).then((action) => {
+      sending.current = false
+      dispatch(action)
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.joined, state.outbox])
+
+  // resolves the outbox action for one attempt at sending `entry`
+  async function sendEntry(entry) {
+    const ack = await emitWithAck(socket, entry.event, entry.payload).catch(() => null)
+    const { clientId } = entry
+    if (ack && ack.ok) {
+      const changes = { id: ack.messageId, timestamp: ack.timestamp }
+      if (ack.status) changes.status = ack.status
+      return { type: 'outbox_sent', clientId, changes }
+    }
+    const delay = retryDelay(ack, entry.attempts || 0)
+    if (delay === null) return { type: 'outbox_failed', clientId, error: ackError(ack, 'Could not send the message') }
+    // rate limits and slow mode say why; the message shows it while it waits
+    if (ack && ack.error) dispatch({ type: 'outbox_held', clientId, error: ack.error, retryAfter: delay })
+    await new Promise(resolve => setTimeout(resolve, delay))
+    return { type: 'outbox_deferred', clientId }
+  }
+
+  // show a message as pending right away and add it to the outbox
+  function queueMessage(event, payload, attachment = null) {
+    dispatch({ type: 'outbox_queued', entry: createEntry(event, payload, { sender: username, senderId: userId, attachment }) })
+  }
+
+  // send to the conversation on screen; `attachment` is an upload's descriptor
+  function sendMessage(text, attachment = null) {
+    const attachmentId = attachment ? attachment.id : null
+    if (state.selectedPrivate) queueMessage('private_message', { to: state.selectedPrivate, text, attachmentId }, attachment)
+    else queueMessage('send_message', { text, room: state.activeRoom, attachmentId }, attachment)
+  }
+
+  // reply in the open thread
+  function sendReply(text) {
+    const { root } = state.thread
+    queueMessage('send_message', { text, room: root.room || null, replyTo: root.id })
+  }
+
+  // open the thread a message starts or belongs to
+  async function openThread(message) {
+    dispatch({ type: 'thread_opened', root: message })
+    const ack = await emitWithAck(socket, 'fetch_thread', { messageId: message.id }).catch(() => null)
+    if (ack && ack.ok) dispatch({ type: 'thread_loaded', root: ack.root, replies: ack.replies })
+    else dispatch({ type: 'thread_closed' })
+  }
+
+  // switch to a room (joining it first if needed) or back to the global chat
+  // (null); resolves { ok: true } or { ok: false, error }
+  async function selectRoom(roomId) {
+    const room = roomId === null ? null : state.rooms.find(r => r.id === roomId)
+    if (room && !room.members.some(m => m.id === userId)) {
+      const ack = await emitWithAck(socket, 'join_room', roomId).catch(() => null)
+      if (!ack || !ack.ok) return { ok: false, error: ackError(ack, 'Could not join the room') }
+    }
+    dispatch({ type: 'room_selected', room: roomId })
+    if (roomId !== null && !loadedRooms.current.has(roomId)) {
+      loadedRooms.current.add(roomId)
+      await loadOlder(roomId)
+    }
+    return { ok: true }
+  }
+
+  // create a room and switch to it; resolves the ack
+  async function createRoom(fields) {
+    const ack = await emitWithAck(socket, 'create_room', fields).catch(() => ({ ok: false, error: 'Server did not respond' }))
+    if (ack && ack.ok) {
+      loadedRooms.current.add(ack.room.id)
+      dispatch({ type: 'room_selected', room: ack.room.id })
+    }
+    return ack
+  }
+
+  const typingRef = useRef(null)
+  if (!typingRef.current) {
+    typingRef.current = throttleTyping((isTyping, room) => getSocket().emit('typing', { isTyping, room }))
+  }
+
+  const value = {
+    ...state,
+    socket,
+    dispatch,
+    addMessage,
+    markRead,
+    loadOlder,
+    loadHistoryBackTo,
+    sendMessage,
+    sendReply,
+    // send a failed message again, or give up on it
+    retryMessage: (message) => dispatch({ type: 'outbox_retried', clientId: message.clientId }),
+    discardMessage: (message) => dispatch({ type: 'outbox_discarded', clientId: message.clientId }),
+    openThread,
+    closeThread: () => dispatch({ type: 'thread_closed' }),
+    selectRoom,
+    createRoom,
+    // show the private conversation with a user (null: back to the room)
+    selectPrivate: (otherId) => dispatch({ type: 'private_selected', userId: otherId }),
+    toggleMentions: (open) => dispatch({ type: 'mentions_toggled', open }),
+    // typing is shown per room (null = the global chat)
+    sendTyping: (isTyping, room) => typingRef.current(isTyping, room),
+  }
+  return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>
+}
@@ -0,0 +1,284 @@
+// client/src/store/ChatContext.test.jsx
+// ChatProvider against a mocked socket: socket.io-client's io() returns a fake
+// socket whose acks come from `server` (event -> handler), and the HTTP API is
+// a stubbed fetch
+
+import React from 'react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, act, cleanup } from '@testing-library/react'
+import { ChatProvider } from './ChatContext.jsx'
+import { useChat } from './useChat.js'
+import { createEntry } from '../utils/outbox.js'
+import MessageList from '../components/MessageList.jsx'
+
+const sockets = []
+
+vi.mock('socket.io-client', () => ({
+  io: () => {
+    const socket = new FakeSocket()
+    sockets.push(socket)
+    return socket
+  },
+}))
+
+// The acks the fake server sends, per event; tests replace them as needed
+let server
+
+class FakeSocket {
+  constructor() {
+    this.listeners = {}
+    this.emitted = []
+    this.connected = false
+  }
+
+  on(event, listener) {
+    ;(this.listeners[event] ||= []).push(listener)
+  }
+
+  off(event, listener) {
+    if (!event) this.listeners = {}
+    else this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener)
+  }
+
+  onAny() {}
+  offAny() {}
+
+  connect() {
+    this.connected = true
+    this.receive('connect')
+  }
+
+  disconnect() {
+    this.connected = false
+  }
+
+  timeout() {
+    return { emit: (event, payload, callback) => this.emit(event, payload, (ack) => callback(null, ack)) }
+  }
+
+  emit(event, payload, callback) {
+    this.emitted.push({ event, payload })
+    const handler = server[event]
+    if (handler && callback) Promise.resolve(handler(payload)).then(callback)
+  }
+
+  // an event from the server
+  receive(event, ...args) {
+    ;(this.listeners[event] || []).forEach(listener => listener(...args))
+  }
+
+  sent(event) {
+    return this.emitted.filter(e => e.event === event).map(e => e.payload)
+  }
+}
+
+let users = 0
+// the newest value of useChat(), as the page would see it
+let chat
+
+function Probe({ onRender = (value) => { chat = value } }) {
+  onRender(useChat())
+  return null
+}
+
+// the global chat as the page shows it
+function GlobalChat() {
+  const { buffers, username } = useChat()
+  return <MessageList messages={buffers.global || []} currentUser={username} view="global" />
+}
+
+// render a provider for a new user (a new socket), with `children` next to the
+// probe, and let it connect and join
+async function renderChat(userId = `u${++users}`, children = null) {
+  render(
+    <ChatProvider token="token" userId={userId} username={`user ${userId}`}>
+      <Probe />
+      {children}
+    </ChatProvider>,
+  )
+  await settle()
+  return { userId, socket: sockets[sockets.length - 1] }
+}
+
+// run pending acks and the renders they cause
+function settle() {
+  return act(() => new Promise(resolve => setTimeout(resolve, 0)))
+}
+
+function message(id, fields = {}) {
+  return { id, text: `message ${id}`, sender: 'bob', senderId: 'bob', room: null, timestamp: '2026-01-01T10:00:00.000Z', ...fields }
+}
+
+const room = { id: 'r1', name: 'general', ownerId: 'bob', members: [{ id: 'bob', username: 'bob' }] }
+
+beforeEach(() => {
+  localStorage.clear()
+  // jsdom does not lay out, so it cannot scroll
+  Element.prototype.scrollIntoView = () => {}
+  server = {
+    user_join: () => ({ ok: true, protocol: 3 }),
+    send_message: () => ({ ok: true, messageId: 'm100', timestamp: '2026-01-01T10:00:05.000Z' }),
+    fetch_history: () => ({ ok: true, messages: [], hasMore: false }),
+  }
+  vi.stubGlobal('fetch', vi.fn((url) => {
+    const data = url.endsWith('/api/users') ? [] : {}
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(data) })
+  }))
+})
+
+afterEach(() => {
+  cleanup()
+  vi.unstubAllGlobals()
+})
+
+describe('ChatProvider', () => {
+  it('throws when useChat is used outside a provider', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(() => render(<Probe />)).toThrow('useChat must be used inside a ChatProvider')
+    console.error.mockRestore()
+  })
+
+  it('connects, joins and buffers incoming messages', async () => {
+    const { socket } = await renderChat()
+    expect(chat).toMatchObject({ connected: true, joined: true })
+    expect(socket.sent('user_join')).toEqual([{}])
+    act(() => socket.receive('receive_message', message('m1', { room: 'r1' })))
+    expect(chat.buffers['room:r1'].map(m => m.id)).toEqual(['m1'])
+    expect(chat.unread['room:r1']).toBe(1)
+  })
+
+  it('keeps rooms and mentions from socket events', async () => {
+    const { socket } = await renderChat()
+    act(() => {
+      socket.receive('room_list', [room])
+      socket.receive('mention', { message: message('m1') })
+    })
+    expect(chat.rooms).toEqual([room])
+    expect(chat).toMatchObject({ mentions: [message('m1')], unreadMentions: 1 })
+    act(() => socket.receive('room_deleted', { id: 'r1' }))
+    expect(chat.rooms).toEqual([])
+  })
+
+  it('sends a message and settles it with the server\'s ack', async () => {
+    const { socket } = await renderChat()
+    act(() => chat.sendMessage('hello'))
+    expect(chat.buffers.global).toMatchObject([{ text: 'hello', pending: true }])
+    await settle()
+    expect(socket.sent('send_message')).toMatchObject([{ text: 'hello', room: null }])
+    expect(chat.buffers.global).toMatchObject([{ id: 'm100', text: 'hello', pending: false }])
+    expect(chat.outbox).toEqual([])
+  })
+
+  it('sends what the outbox saved on an earlier visit once joined, and forgets it', async () => {
+    const userId = `u${++users}`
+    const saved = createEntry('send_message', { text: 'from before', room: null }, { sender: 'me', senderId: userId })
+    localStorage.setItem(`outbox:${userId}:${saved.clientId}`, JSON.stringify(saved))
+    const { socket } = await renderChat(userId)
+    expect(socket.sent('send_message')).toMatchObject([{ text: 'from before', clientId: saved.clientId }])
+    expect(chat.buffers.global).toMatchObject([{ id: 'm100', pending: false }])
+    expect(localStorage.length).toBe(0)
+  })
+
+  it('holds the outbox while disconnected', async () => {
+    const { socket } = await renderChat()
+    act(() => socket.receive('disconnect'))
+    act(() => chat.sendMessage('later'))
+    await settle()
+    expect(socket.sent('send_message')).toEqual([])
+    expect(localStorage.length).toBe(1)
+    await act(async () => socket.connect())
+    await settle()
+    expect(socket.sent('send_message')).toMatchObject([{ text: 'later' }])
+    expect(localStorage.length).toBe(0)
+  })
+
+  it('shows why a rate-limited message waits, and resends it after retryAfter', async () => {
+    const { socket } = await renderChat(undefined, <GlobalChat />)
+    server.send_message = () => ({ ok: false, code: 'rate_limited', error: 'You are sending messages too fast', retryAfter: 50 })
+    act(() => chat.sendMessage('hello'))
+    await settle()
+    expect(chat.buffers.global[0]).toMatchObject({ pending: true, held: { error: 'You are sending messages too fast', retryAfter: 50 } })
+    expect(screen.getByText('You are sending messages too fast (retrying in 1s)')).toBeTruthy()
+
+    server.send_message = () => ({ ok: true, messageId: 'm100', timestamp: '2026-01-01T10:00:05.000Z' })
+    await act(() => new Promise(resolve => setTimeout(resolve, 100)))
+    expect(socket.sent('send_message')).toHaveLength(2)
+    expect(chat.buffers.global).toMatchObject([{ id: 'm100', pending: false }])
+    expect(chat.buffers.global[0].held).toBeUndefined()
+    expect(screen.queryByText(/sending messages too fast/)).toBe(null)
+  })
+
+  it('marks a refused message failed and sends it again on retry', async () => {
+    const { socket } = await renderChat()
+    server.send_message = () => ({ ok: false, code: 'forbidden', error: 'You are muted', until: null })
+    act(() => chat.sendMessage('hello'))
+    await settle()
+    expect(chat.buffers.global[0].failed).toBe('You are muted permanently')
+
+    server.send_message = () => ({ ok: true, messageId: 'm100', timestamp: '2026-01-01T10:00:05.000Z' })
+    act(() => chat.retryMessage(chat.buffers.global[0]))
+    await settle()
+    expect(socket.sent('send_message')).toHaveLength(2)
+    expect(chat.buffers.global).toMatchObject([{ id: 'm100', pending: false }])
+  })
+
+  it('discards a failed message', async () => {
+    await renderChat()
+    server.send_message = () => ({ ok: false, code: 'forbidden', error: 'Nope' })
+    act(() => chat.sendMessage('hello'))
+    await settle()
+    act(() => chat.discardMessage(chat.buffers.global[0]))
+    expect(chat.buffers.global).toEqual([])
+    expect(chat.outbox).toEqual([])
+    expect(localStorage.length).toBe(0)
+  })
+
+  it('joins a room before showing it and loads its history', async () => {
+    const { userId, socket } = await renderChat()
+    server.join_room = () => ({ ok: true })
+    server.fetch_history = () => ({ ok: true, messages: [message('m1', { room: 'r1' })], hasMore: true })
+    act(() => socket.receive('room_list', [room]))
+    let result
+    await act(async () => {
+      result = await chat.selectRoom('r1')
+    })
+    expect(result).toEqual({ ok: true })
+    expect(socket.sent('join_room')).toEqual(['r1'])
+    expect(socket.sent('fetch_history')).toMatchObject([{ room: 'r1' }])
+    expect(chat).toMatchObject({ activeRoom: 'r1', activeKey: 'room:r1', hasMore: { 'room:r1': true } })
+    expect(chat.buffers['room:r1'].map(m => m.id)).toEqual(['m1'])
+
+    act(() => socket.receive('user_joined_room', { room: 'r1', id: userId, username: `user ${userId}` }))
+    await act(async () => {
+      await chat.selectRoom('r1')
+    })
+    expect(socket.sent('join_room')).toHaveLength(1)
+    expect(socket.sent('fetch_history')).toHaveLength(1)
+  })
+
+  it('stays put when a room cannot be joined', async () => {
+    const { socket } = await renderChat()
+    server.join_room = () => ({ ok: false, code: 'forbidden', error: 'You are banned from this room', until: null })
+    act(() => socket.receive('room_list', [room]))
+    let result
+    await act(async () => {
+      result = await chat.selectRoom('r1')
+    })
+    expect(result).toEqual({ ok: false, error: 'You are banned from this room permanently' })
+    expect(chat.activeRoom).toBe(null)
+  })
+
+  it('opens a thread and sends replies to it', async () => {
+    const { socket } = await renderChat()
+    const root = message('m1', { room: 'r1' })
+    server.fetch_thread = () => ({ ok: true, root, replies: [message('m2', { room: 'r1', threadId: 'm1' })] })
+    await act(async () => chat.openThread(root))
+    expect(chat.thread).toMatchObject({ root, loading: false })
+    expect(chat.thread.replies.map(m => m.id)).toEqual(['m2'])
+
+    act(() => chat.sendReply('agreed'))
+    await settle()
+    expect(socket.sent('send_message')).toMatchObject([{ text: 'agreed', room: 'r1', replyTo: 'm1' }])
+    expect(chat.thread.replies.map(m => m.id)).toEqual(['m2', 'm100'])
+  })
+})
@@ -0,0 +1,324 @@
+// client/src/store/chatReducer.js
+// Chat state shared through ChatContext: conversations, users, typing,
+// connection status, rooms, the open thread, the mentions inbox and the outbox.
+// The reducer is pure; ChatContext turns socket events into actions and
+// performs the requests.
+
+import {
+  GLOBAL_CONVERSATION,
+  conversationKey,
+  updateBuffer,
+  patchInBuffers,
+  patchMessage,
+  prependHistory,
+  upsertMessage,
+  insertMessage,
+  settleMessage,
+  applyReceipt,
+  receiptKey,
+  newestSeqs,
+  roomKey,
+  dmKey,
+} from '../utils/messages.js'
+import { applyPresence, applyRoomUser } from '../utils/presence.js'
+import { applyMembership } from '../utils/rooms.js'
+
+// messages kept per conversation
+export const BUFFER_LIMIT = 500
+// entries kept in the mentions inbox
+export const MENTIONS_LIMIT = 50
+
+// `outbox` holds the entries saved from an earlier visit (see utils/outbox.js);
+// their messages are shown as pending until they are sent
+export function createChatState({ userId, username, outbox = [] }) {
+  const state = {
+    userId,
+    username,
+    connected: false,
+    // user_join was acknowledged on this connection, so the outbox can be sent
+    joined: false,
+    // presence of the user and their peers (room co-members and DM contacts):
+    // { id, username, state, status, lastSeen, sessions }
+    users: [],
+    // every account, to start a private conversation with: [{ id, username }]
+    directory: [],
+    // online members per room: { [roomId]: [{ id, username }] }
+    roomUsers: {},
+    // { [roomKey]: usernames typing there, the current user left out }
+    typing: {},
+    // { [conversationKey]: messages[] }, unread counts and whether older history exists
+    buffers: {},
+    unread: {},
+    hasMore: {},
+    // the conversation on screen: a room (null = the global chat) or, when
+    // `selectedPrivate` is set, the private conversation with that user; its
+    // messages only count as unread while the tab is hidden
+    activeRoom: null,
+    selectedPrivate: null,
+    activeKey: GLOBAL_CONVERSATION,
+    // newest seq per conversation when the connection dropped, fetched from after rejoining
+    syncFrom: null,
+    // registry rooms visible to the user (see room_list / room_updated)
+    rooms: [],
+    // the open thread panel: { root, replies, loading } or null
+    thread: null,
+    // mentions inbox (newest first), how many arrived since it was last opened, and whether it is open
+    mentions: [],
+    unreadMentions: 0,
+    mentionsOpen: false,
+    // messages sent but not acknowledged yet, oldest first: outbox entries
+    // ({ clientId, event, payload, message, attempts? }) sent one at a time
+    outbox,
+  }
+  return outbox.reduce((next, entry) => addMessage(next, entry.message, false), state)
+}
+
+// Whether `message`, arriving in conversation `key`, adds to its unread count
+export function countsAsUnread(state, message, key, hidden) {
+  return !message.system && message.senderId !== state.userId && (key !== state.activeKey || hidden)
+}
+
+function addUnread(state, key, count) {
+  if (!count) return state.unread
+  return { ...state.unread, [key]: (state.unread[key] || 0) + count }
+}
+
+function clearUnread(unread, key) {
+  return unread[key] ? { ...unread, [key]: 0 } : unread
+}
+
+// Buffer a message in its conversation (and the open thread, for a reply in it)
+function addMessage(state, message, hidden) {
+  const key = message.system ? GLOBAL_CONVERSATION : conversationKey(message, state.userId)
+  return {
+    ...state,
+    buffers: updateBuffer(state.buffers, key, list => upsertMessage(list, message).slice(-BUFFER_LIMIT)),
+    unread: countsAsUnread(state, message, key, hidden) ? addUnread(state, key, 1) : state.unread,
+    thread: inThread(state.thread, message) ? { ...state.thread, replies: upsertMessage(state.thread.replies, message) } : state.thread,
+  }
+}
+
+// Whether `message` is a reply in the open thread (pending replies only know what they answer)
+function inThread(thread, message) {
+  if (!thread) return false
+  const threadId = message.threadId !== undefined ? message.threadId : message.replyTo
+  return threadId !== undefined && threadId === thread.root.id
+}
+
+// Apply `update(messages)` to the open thread's root and replies
+function updateThread(thread, update) {
+  if (!thread) return thread
+  const [root] = update([thread.root])
+  return { ...thread, root: root || thread.root, replies: update(thread.replies) }
+}
+
+// Show another conversation: a room (null = the global chat), or the private
+// conversation with `selectedPrivate`; reading it clears its unread count
+function openConversation(state, { activeRoom = state.activeRoom, selectedPrivate = null }) {
+  const activeKey = selectedPrivate ? dmKey(selectedPrivate) : roomKey(activeRoom)
+  return { ...state, activeRoom, selectedPrivate, activeKey, unread: clearUnread(state.unread, activeKey) }
+}
+
+// Back to the global chat if `roomId` is on screen
+function closeRoom(state, roomId) {
+  if (state.activeRoom !== roomId) return state
+  return { ...openConversation(state, { activeRoom: null, selectedPrivate: state.selectedPrivate }), thread: null }
+}
+
+// Replace the outbox entry `clientId` with `update(entry)`
+function updateEntry(outbox, clientId, update) {
+  return outbox.map(entry => (entry.clientId === clientId ? update(entry) : entry))
+}
+
+function findEntry(outbox, clientId) {
+  return outbox.find(entry => entry.clientId === clientId)
+}
+
+export function chatReducer(state, action) {
+  switch (action.type) {
+    case 'connected':
+      return { ...state, connected: true }
+    case 'joined':
+      return { ...state, joined: true }
+    // live messages can arrive after rejoining and before the catch-up, so
+    // remember where each conversation stood now
+    case 'disconnected':
+      return { ...state, connected: false, joined: false, syncFrom: state.syncFrom || newestSeqs(state.buffers) }
+    case 'sync_started':
+      return { ...state, syncFrom: null }
+
+    // a live message or a system notice ({ message, hidden })
+    case 'message':
+      return addMessage(state, action.message, action.hidden)
+    // messages missed while disconnected go where they belong in time ({ key, messages, hidden })
+    case 'messages_missed': {
+      const { key, messages, hidden } = action
+      const count = messages.filter(m => countsAsUnread(state, m, key, hidden)).length
+      return {
+        ...state,
+        buffers: updateBuffer(state.buffers, key, list => messages.reduce(insertMessage, list).slice(-BUFFER_LIMIT)),
+        unread: addUnread(state, key, count),
+      }
+    }
+    // a message jumped to from search or mentions ({ key, message })
+    case 'message_placed':
+      return { ...state, buffers: updateBuffer(state.buffers, action.key, list => insertMessage(list, action.message)) }
+    // older messages ({ key, messages, hasMore? }); `hasMore` is left as it was when omitted
+    case 'history': {
+      const { key, messages, hasMore } = action
+      return {
+        ...state,
+        buffers: updateBuffer(state.buffers, key, list => prependHistory(list, messages)),
+        hasMore: hasMore === undefined ? state.hasMore : { ...state.hasMore, [key]: !!hasMore },
+      }
+    }
+    // merge `changes` into the message with `id` wherever it is buffered or shown
+    case 'message_patched':
+      return {
+        ...state,
+        buffers: patchInBuffers(state.buffers, action.id, action.changes),
+        thread: updateThread(state.thread, list => patchMessage(list, action.id, action.changes)),
+      }
+    case 'receipt':
+      return {
+        ...state,
+        buffers: updateBuffer(state.buffers, receiptKey(action.receipt, state.userId), list => applyReceipt(list, action.receipt)),
+      }
+
+    case 'user_list':
+      return { ...state, users: action.users }
+    // only the users whose entry changed
+    case 'presence':
+      return { ...state, users: applyPresence(state.users, action.users) }
+    case 'directory':
+      return { ...state, directory: action.users.map(({ id, username }) => ({ id, username })) }
+    // a room's online members, with their presence (members may be new peers)
+    case 'room_users':
+      return {
+        ...state,
+        users: applyPresence(state.users, action.users),
+        roomUsers: { ...state.roomUsers, [action.room]: action.users.map(({ id, username }) => ({ id, username })) },
+      }
+    // a member of a room came online or joined it (`present`, with their presence), or went offline or left
+    case 'room_user': {
+      const { room, user, present } = action
+      return {
+        ...state,
+        users: present ? applyPresence(state.users, [user]) : state.users,
+        roomUsers: applyRoomUser(state.roomUsers, room, { id: user.id, username: user.username }, present),
+      }
+    }
+    case 'typing':
+      return { ...state, typing: { ...state.typing, [action.key]: action.users.filter(name => name !== state.username) } }
+
+    // a room (null = the global chat) or a private conversation ({ userId }, null
+    // for back to the room) goes on screen; the thread panel belongs to the room left
+    case 'room_selected':
+      return { ...openConversation(state, { activeRoom: action.room }), thread: null }
+    case 'private_selected':
+      return { ...openConversation(state, { selectedPrivate: action.userId }), thread: action.userId ? null : state.thread }
+    // messages that arrive while the tab is hidden stay unread until it is shown again
+    case 'tab_shown':
+      return { ...state, unread: clearUnread(state.unread, state.activeKey) }
+
+    case 'room_list':
+      return { ...state, rooms: action.rooms }
+    // created, or its settings or members changed
+    case 'room_updated': {
+      const { room } = action
+      const known = state.rooms.some(r => r.id === room.id)
+      return { ...state, rooms: known ? state.rooms.map(r => (r.id === room.id ? room : r)) : [...state.rooms, room] }
+    }
+    // user_joined_room / user_left_room ({ member: { room, id, username }, joined })
+    case 'room_membership':
+      return { ...state, rooms: applyMembership(state.rooms, action.member, action.joined) }
+    case 'room_deleted':
+      return closeRoom({ ...state, rooms: state.rooms.filter(r => r.id !== action.id) }, action.id)
+    // the user left the room, or was kicked or banned from it
+    case 'room_left':
+      return closeRoom(state, action.room)
+
+    // a thread is being fetched ({ root }), arrived ({ root, replies }) or was closed
+    case 'thread_opened':
+      return { ...state, thread: { root: action.root, replies: [], loading: true } }
+    case 'thread_loaded':
+      return state.thread ? { ...state, thread: { root: action.root, replies: action.replies, loading: false } } : state
+    case 'thread_closed':
+      return { ...state, thread: null }
+
+    case 'mentions_loaded':
+      return { ...state, mentions: action.messages }
+    // a new mention counts as unread until the inbox is opened
+    case 'mention': {
+      const { message } = action
+      return {
+        ...state,
+        mentions: [message, ...state.mentions.filter(m => m.id !== message.id)].slice(0, MENTIONS_LIMIT),
+        unreadMentions: state.mentionsOpen ? state.unreadMentions : state.unreadMentions + 1,
+      }
+    }
+    case 'mentions_toggled':
+      return { ...state, mentionsOpen: action.open, unreadMentions: action.open ? 0 : state.unreadMentions }
+
+    // a new outbox entry ({ entry }): its message shows as pending meanwhile
+    case 'outbox_queued':
+      return { ...addMessage(state, action.entry.message, false), outbox: [...state.outbox, action.entry] }
+    // the server acknowledged an entry ({ clientId, changes: { id, timestamp, status? } }):
+    // its copy replaces the pending one, in its conversation and in the open thread
+    case 'outbox_sent': {
+      const { clientId, changes } = action
+      const entry = findEntry(state.outbox, clientId)
+      if (!entry) return { ...state, outbox: state.outbox.filter(e => e.clientId !== clientId) }
+      return {
+        ...state,
+        outbox: state.outbox.filter(e => e !== entry),
+        buffers: updateBuffer(state.buffers, conversationKey(entry.message, state.userId), list => settleMessage(list, clientId, changes)),
+        thread: state.thread ? { ...state.thread, replies: settleMessage(state.thread.replies, clientId, changes) } : state.thread,
+      }
+    }
+    // the server refused an entry for good ({ clientId, error }); it stays until retried or discarded
+    case 'outbox_failed': {
+      const { clientId, error } = action
+      const next = {
+        ...state,
+        outbox: updateEntry(state.outbox, clientId, entry => ({ ...entry, attempts: 0, message: { ...entry.message, failed: error } })),
+      }
+      return chatReducer(next, { type: 'message_patched', id: clientId, changes: { failed: error } })
+    }
+    // the server asked to wait before resending an entry ({ clientId, error, retryAfter }):
+    // its message shows why (as `held`) until it is resent
+    case 'outbox_held': {
+      const { clientId, error, retryAfter } = action
+      return chatReducer(state, { type: 'message_patched', id: clientId, changes: { held: { error, retryAfter } } })
+    }
+    // an entry is due to be resent after a wait ({ clientId })
+    case 'outbox_deferred': {
+      const next = { ...state, outbox: updateEntry(state.outbox, action.clientId, entry => ({ ...entry, attempts: (entry.attempts || 0) + 1 })) }
+      return chatReducer(next, { type: 'message_patched', id: action.clientId, changes: { held: undefined } })
+    }
+    case 'outbox_retried': {
+      const next = {
+        ...state,
+        outbox: updateEntry(state.outbox, action.clientId, entry => {
+          const message = { ...entry.message }
+          delete message.failed
+          return { ...entry, message }
+        }),
+      }
+      return chatReducer(next, { type: 'message_patched', id: action.clientId, changes: { failed: undefined } })
+    }
+    case 'outbox_discarded': {
+      const entry = findEntry(state.outbox, action.clientId)
+      if (!entry) return state
+      const without = list => list.filter(m => m.id !== action.clientId)
+      return {
+        ...state,
+        outbox: state.outbox.filter(e => e !== entry),
+        buffers: updateBuffer(state.buffers, conversationKey(entry.message, state.userId), without),
+        thread: state.thread ? { ...state.thread, replies: without(state.thread.replies) } : state.thread,
+      }
+    }
+    default:
+      throw new Error(`Unknown chat action: ${action.type}`)
+  }
+}
@@ -0,0 +1,229 @@
+// client/src/store/chatReducer.test.js
+// The chat reducer on its own: conversations, rooms, the thread, mentions and the outbox
+
+import { describe, it, expect } from 'vitest'
+import { chatReducer, createChatState, MENTIONS_LIMIT } from './chatReducer.js'
+import { createEntry } from '../utils/outbox.js'
+
+const ME = 'u1'
+
+function reduce(state, ...actions) {
+  return actions.reduce(chatReducer, state)
+}
+
+function initial(outbox) {
+  return createChatState({ userId: ME, username: 'alice', outbox })
+}
+
+function message(id, fields = {}) {
+  return { id, text: `message ${id}`, sender: 'bob', senderId: 'u2', room: null, timestamp: '2026-01-01T10:00:00.000Z', ...fields }
+}
+
+function entry(text, payload = {}) {
+  return createEntry('send_message', { text, room: null, ...payload }, { sender: 'alice', senderId: ME })
+}
+
+const room = { id: 'r1', name: 'general', ownerId: 'u2', members: [{ id: 'u2', username: 'bob' }] }
+
+describe('conversations', () => {
+  it('counts unread messages outside the conversation on screen', () => {
+    const state = reduce(
+      initial(),
+      { type: 'message', message: message('m1'), hidden: false },
+      { type: 'message', message: message('m2', { room: 'r1' }), hidden: false },
+    )
+    expect(state.buffers.global.map(m => m.id)).toEqual(['m1'])
+    expect(state.unread).toEqual({ 'room:r1': 1 })
+  })
+
+  it('counts messages in the conversation on screen while the tab is hidden, until it is shown', () => {
+    let state = reduce(initial(), { type: 'message', message: message('m1'), hidden: true })
+    expect(state.unread.global).toBe(1)
+    state = chatReducer(state, { type: 'tab_shown' })
+    expect(state.unread.global).toBe(0)
+  })
+
+  it('does not count the user\'s own messages', () => {
+    const state = chatReducer(initial(), { type: 'message', message: message('m1', { room: 'r1', senderId: ME }), hidden: false })
+    expect(state.unread).toEqual({})
+  })
+
+  it('clears the unread count of the conversation opened', () => {
+    let state = reduce(
+      initial(),
+      { type: 'message', message: message('m1', { room: 'r1' }), hidden: false },
+      { type: 'message', message: message('m2', { isPrivate: true, recipientId: ME }), hidden: false },
+    )
+    expect(state.unread).toEqual({ 'room:r1': 1, 'dm:u2': 1 })
+    state = chatReducer(state, { type: 'room_selected', room: 'r1' })
+    expect(state).toMatchObject({ activeRoom: 'r1', activeKey: 'room:r1', unread: { 'room:r1': 0, 'dm:u2': 1 } })
+    state = chatReducer(state, { type: 'private_selected', userId: 'u2' })
+    expect(state).toMatchObject({ activeRoom: 'r1', selectedPrivate: 'u2', activeKey: 'dm:u2', unread: { 'dm:u2': 0 } })
+    state = chatReducer(state, { type: 'private_selected', userId: null })
+    expect(state).toMatchObject({ selectedPrivate: null, activeKey: 'room:r1' })
+  })
+
+  it('remembers where each conversation stood when the connection dropped', () => {
+    let state = reduce(
+      initial(),
+      { type: 'joined' },
+      { type: 'message', message: message('m1', { seq: 4 }), hidden: false },
+      { type: 'disconnected' },
+    )
+    expect(state).toMatchObject({ connected: false, joined: false, syncFrom: { global: 4 } })
+    state = reduce(state, { type: 'message', message: message('m2', { seq: 5 }), hidden: false }, { type: 'disconnected' })
+    expect(state.syncFrom).toEqual({ global: 4 })
+    expect(chatReducer(state, { type: 'sync_started' }).syncFrom).toBe(null)
+  })
+
+  it('rejects unknown actions', () => {
+    expect(() => chatReducer(initial(), { type: 'nope' })).toThrow('Unknown chat action: nope')
+  })
+})
+
+describe('rooms', () => {
+  it('adds, updates and deletes rooms', () => {
+    let state = reduce(initial(), { type: 'room_list', rooms: [room] }, { type: 'room_updated', room: { ...room, name: 'lobby' } })
+    expect(state.rooms).toEqual([{ ...room, name: 'lobby' }])
+    state = chatReducer(state, { type: 'room_updated', room: { ...room, id: 'r2' } })
+    expect(state.rooms.map(r => r.id)).toEqual(['r1', 'r2'])
+    state = chatReducer(state, { type: 'room_deleted', id: 'r2' })
+    expect(state.rooms.map(r => r.id)).toEqual(['r1'])
+  })
+
+  it('tracks members joining and leaving', () => {
+    let state = reduce(initial(), { type: 'room_list', rooms: [room] })
+    state = chatReducer(state, { type: 'room_membership', member: { room: 'r1', id: ME, username: 'alice' }, joined: true })
+    expect(state.rooms[0].members.map(m => m.id)).toEqual(['u2', ME])
+    state = chatReducer(state, { type: 'room_membership', member: { room: 'r1', id: 'u2', username: 'bob' }, joined: false })
+    expect(state.rooms[0].members.map(m => m.id)).toEqual([ME])
+  })
+
+  it('goes back to the global chat when the room on screen is deleted or left', () => {
+    const inRoom = reduce(initial(), { type: 'room_list', rooms: [room] }, { type: 'room_selected', room: 'r1' })
+    expect(chatReducer(inRoom, { type: 'room_deleted', id: 'r1' })).toMatchObject({ activeRoom: null, activeKey: 'global', rooms: [] })
+    expect(chatReducer(inRoom, { type: 'room_left', room: 'r1' })).toMatchObject({ activeRoom: null, activeKey: 'global' })
+    expect(chatReducer(inRoom, { type: 'room_left', room: 'r2' })).toBe(inRoom)
+  })
+})
+
+describe('thread', () => {
+  const root = message('m1', { room: 'r1' })
+
+  it('adds replies and changes to the open thread', () => {
+    let state = reduce(
+      initial(),
+      { type: 'thread_opened', root },
+      { type: 'thread_loaded', root, replies: [message('m2', { room: 'r1', threadId: 'm1' })] },
+      { type: 'message', message: message('m3', { room: 'r1', threadId: 'm1' }), hidden: false },
+      { type: 'message', message: message('m4', { room: 'r1' }), hidden: false },
+      { type: 'message_patched', id: 'm1', changes: { text: 'edited' } },
+    )
+    expect(state.thread.loading).toBe(false)
+    expect(state.thread.root.text).toBe('edited')
+    expect(state.thread.replies.map(m => m.id)).toEqual(['m2', 'm3'])
+    state = chatReducer(state, { type: 'thread_closed' })
+    expect(state.thread).toBe(null)
+  })
+
+  it('ignores a thread that arrives after it was closed', () => {
+    const state = reduce(initial(), { type: 'thread_opened', root }, { type: 'thread_closed' }, { type: 'thread_loaded', root, replies: [] })
+    expect(state.thread).toBe(null)
+  })
+
+  it('closes when another room goes on screen', () => {
+    const state = reduce(initial(), { type: 'thread_opened', root }, { type: 'room_selected', room: 'r2' })
+    expect(state.thread).toBe(null)
+  })
+})
+
+describe('mentions', () => {
+  it('counts new mentions until the inbox is opened', () => {
+    let state = reduce(initial(), { type: 'mentions_loaded', messages: [message('m1')] }, { type: 'mention', message: message('m2') })
+    expect(state.mentions.map(m => m.id)).toEqual(['m2', 'm1'])
+    expect(state.unreadMentions).toBe(1)
+    state = reduce(state, { type: 'mentions_toggled', open: true }, { type: 'mention', message: message('m3') })
+    expect(state).toMatchObject({ mentionsOpen: true, unreadMentions: 0 })
+  })
+
+  it('keeps the newest mentions', () => {
+    const messages = Array.from({ length: MENTIONS_LIMIT }, (_, i) => message(`m${i}`))
+    const state = reduce(initial(), { type: 'mentions_loaded', messages }, { type: 'mention', message: message('new') })
+    expect(state.mentions).toHaveLength(MENTIONS_LIMIT)
+    expect(state.mentions[0].id).toBe('new')
+  })
+})
+
+describe('outbox', () => {
+  it('shows saved entries as pending', () => {
+    const saved = entry('hello')
+    const state = initial([saved])
+    expect(state.outbox).toEqual([saved])
+    expect(state.buffers.global).toEqual([saved.message])
+    expect(state.buffers.global[0].pending).toBe(true)
+  })
+
+  it('replaces a queued message with the server\'s copy once sent', () => {
+    const queued = entry('hello')
+    let state = chatReducer(initial(), { type: 'outbox_queued', entry: queued })
+    expect(state.outbox).toEqual([queued])
+    state = chatReducer(state, { type: 'outbox_sent', clientId: queued.clientId, changes: { id: 'm9', timestamp: '2026-01-01T10:00:01.000Z' } })
+    expect(state.outbox).toEqual([])
+    expect(state.buffers.global).toMatchObject([{ id: 'm9', pending: false, text: 'hello' }])
+  })
+
+  it('shows a queued reply in the open thread', () => {
+    const reply = entry('hi', { room: 'r1', replyTo: 'm1' })
+    let state = reduce(
+      initial(),
+      { type: 'thread_opened', root: message('m1', { room: 'r1' }) },
+      { type: 'outbox_queued', entry: reply },
+    )
+    expect(state.thread.replies).toEqual([reply.message])
+    state = chatReducer(state, { type: 'outbox_sent', clientId: reply.clientId, changes: { id: 'm2', timestamp: reply.message.timestamp } })
+    expect(state.thread.replies).toMatchObject([{ id: 'm2', pending: false }])
+  })
+
+  it('marks a refused message failed until it is retried or discarded', () => {
+    const queued = entry('hello')
+    let state = reduce(
+      initial(),
+      { type: 'outbox_queued', entry: queued },
+      { type: 'outbox_deferred', clientId: queued.clientId },
+      { type: 'outbox_failed', clientId: queued.clientId, error: 'You are muted' },
+    )
+    expect(state.outbox[0]).toMatchObject({ attempts: 0, message: { failed: 'You are muted' } })
+    expect(state.buffers.global[0].failed).toBe('You are muted')
+
+    const retried = chatReducer(state, { type: 'outbox_retried', clientId: queued.clientId })
+    expect(retried.outbox[0].message.failed).toBeUndefined()
+    expect(retried.buffers.global[0].failed).toBeUndefined()
+
+    const discarded = chatReducer(state, { type: 'outbox_discarded', clientId: queued.clientId })
+    expect(discarded.outbox).toEqual([])
+    expect(discarded.buffers.global).toEqual([])
+  })
+
+  it('shows why a held message waits until it is resent', () => {
+    const queued = entry('hello')
+    let state = reduce(
+      initial(),
+      { type: 'outbox_queued', entry: queued },
+      { type: 'outbox_held', clientId: queued.clientId, error: 'Slow mode is on: wait 5s', retryAfter: 5000 },
+    )
+    expect(state.buffers.global[0].held).toEqual({ error: 'Slow mode is on: wait 5s', retryAfter: 5000 })
+    state = chatReducer(state, { type: 'outbox_deferred', clientId: queued.clientId })
+    expect(state.buffers.global[0].held).toBeUndefined()
+  })
+
+  it('counts the attempts of a deferred message', () => {
+    const queued = entry('hello')
+    const state = reduce(
+      initial(),
+      { type: 'outbox_queued', entry: queued },
+      { type: 'outbox_deferred', clientId: queued.clientId },
+      { type: 'outbox_deferred', clientId: queued.clientId },
+    )
+    expect(state.outbox[0].attempts).toBe(2)
+  })
+})
@@ -0,0 +1,12 @@
+// client/src/store/useChat.js
+// The context ChatProvider (ChatContext.jsx) fills, and the hook that reads it
+
+import { createContext, useContext } from 'react'
+
+export const ChatContext = createContext(null)
+
+export function useChat() {
+  const chat = useContext(ChatContext)
+  if (!chat) throw new Error('useChat must be used inside a ChatProvider')
+  return chat
+}
@@ -0,0 +1,57 @@
+// client/src/utils/api.js
+// Small fetch wrapper for the chat server's HTTP API
+
+export const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:5000'
+
+// Request JSON from the API; throws an Error carrying the server's message and status
+export async function apiRequest(path, { method = 'GET', body, token } = {}) {
+  const headers = {}
+  if (body !== undefined) headers['Content-Type'] = 'application/json'
+  if (token) headers.Authorization = `Bearer ${token}`
+
+  const res = await fetch(SERVER_URL + path, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`)
+    err.status = res.status
+    throw err
+  }
+  return data
+}
+
+// Upload a File/Blob; resolves the attachment descriptor { id, name, size, mimeType, url }
+// to send as a message's `attachmentId`
+export async function uploadFile(file, token) {
+  const res = await fetch(`${SERVER_URL}/api/uploads?name=${encodeURIComponent(file.name || 'file')}`, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type || 'application/octet-stream', Authorization: `Bearer ${token}` },
+    body: file,
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(data.error || `Upload failed (${res.status})`)
+    err.status = res.status
+    throw err
+  }
+  return data
+}
+
+// Fetch an authenticated file (attachment urls need the session token); resolves a Blob
+export async function fetchFile(path, token) {
+  const res = await fetch(SERVER_URL + path, { headers: { Authorization: `Bearer ${token}` } })
+  if (!res.ok) throw new Error(`Download failed (${res.status})`)
+  return res.blob()
+}
+
+// Both resolve { token, user: { id, username } }
+export function login(username, password) {
+  return apiRequest('/api/auth/login', { method: 'POST', body: { username, password } })
+}
+
+export function register(username, password) {
+  return apiRequest('/api/auth/register', { method: 'POST', body: { username, password } })
+}
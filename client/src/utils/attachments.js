@@ -0,0 +1,9 @@
+// client/src/utils/attachments.js
+// Showing message attachments
+
+// A file size for people: "512 B", "40 KB", "3.2 MB"
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
@@ -0,0 +1,140 @@
+// client/src/utils/messages.js
+// Helpers for merging paged history and live events into message state
+
+// Put a page of older messages in front of the current list, skipping any
+// message that is already present (history can overlap live messages, and a
+// message still pending in the outbox is held under its client id)
+export function prependHistory(current, older = []) {
+  const seen = new Set(current.map((m) => m.id))
+  const fresh = older.filter((m) => !seen.has(m.id) && !seen.has(m.clientId))
+  return fresh.length ? [...fresh, ...current] : current
+}
+
+// Append a message, or replace the copy we already hold (redeliveries reuse the id,
+// and the server's copy of a message we sent replaces its pending copy, whose id
+// is the client id)
+export function upsertMessage(current, message) {
+  const index = current.findIndex((m) => m.id === message.id || (!!message.clientId && m.id === message.clientId))
+  if (index === -1) return [...current, message]
+  const next = current.slice()
+  next[index] = current[index].pending ? message : { ...current[index], ...message }
+  return next
+}
+
+// Apply the server's ack ({ id, timestamp, ... }) to the pending copy of a message
+// we sent, or drop that copy when the server's copy is already held
+export function settleMessage(current, clientId, changes) {
+  if (!current.some((m) => m.id === clientId)) return current
+  if (current.some((m) => m.id === changes.id)) return current.filter((m) => m.id !== clientId)
+  return patchMessage(current, clientId, { ...changes, pending: false })
+}
+
+// Insert a message at its place in time, unless we already hold it
+export function insertMessage(current, message) {
+  if (current.some((m) => m.id === message.id)) return current
+  const at = Date.parse(message.timestamp)
+  const index = current.findIndex((m) => Date.parse(m.timestamp) > at)
+  if (index === -1) return [...current, message]
+  return [...current.slice(0, index), message, ...current.slice(index)]
+}
+
+// A notice shown in the global chat (joins, leaves, moderation...)
+export function systemMessage(text) {
+  return { id: `sys-${Date.now()}`, text, sender: 'System', timestamp: new Date().toISOString(), system: true }
+}
+
+// What a message_deleted event changes in the deleted message
+export function tombstone({ deletedAt, deletedBy }) {
+  return { deleted: true, text: '', attachment: null, deletedAt, deletedBy }
+}
+
+// Merge `changes` into the message with `id`, if we hold it
+export function patchMessage(current, id, changes) {
+  return current.map((m) => (m.id === id ? { ...m, ...changes } : m))
+}
+
+// Conversation keys: 'global', 'room:<roomId>' and 'dm:<otherUserId>'
+export const GLOBAL_CONVERSATION = 'global'
+
+export function roomKey(roomId) {
+  return roomId ? `room:${roomId}` : GLOBAL_CONVERSATION
+}
+
+export function dmKey(userId) {
+  return `dm:${userId}`
+}
+
+// The newest `seq` held per conversation, { [key]: seq }; conversations
+// without numbered messages (pending or system ones) are left out
+export function newestSeqs(buffers) {
+  const newest = {}
+  Object.keys(buffers).forEach((key) => {
+    const seq = buffers[key].reduce((max, m) => (m.seq > max ? m.seq : max), 0)
+    if (seq) newest[key] = seq
+  })
+  return newest
+}
+
+// A `sync` request entry for conversation `key`, and the key of an entry in the ack
+export function syncConversation(key, after) {
+  if (key.startsWith('dm:')) return { with: key.slice(3), after }
+  return { room: key === GLOBAL_CONVERSATION ? null : key.slice('room:'.length), after }
+}
+
+export function syncKey(conversation) {
+  return conversation.with ? dmKey(conversation.with) : roomKey(conversation.room)
+}
+
+// Which conversation a message belongs to, from the point of view of `currentUserId`
+export function conversationKey(message, currentUserId) {
+  if (message.isPrivate || message.private) {
+    return dmKey(message.senderId === currentUserId ? message.recipientId : message.senderId)
+  }
+  return roomKey(message.room)
+}
+
+// Key of the conversation a receipt_updated event belongs to
+export function receiptKey(receipt, currentUserId) {
+  if (receipt.participants) return dmKey(receipt.participants.find((id) => id !== currentUserId) || currentUserId)
+  return roomKey(receipt.room)
+}
+
+function inReceiptConversation(message, receipt) {
+  if (receipt.participants) {
+    return !!message.isPrivate && receipt.participants.includes(message.senderId) && receipt.participants.includes(message.recipientId)
+  }
+  return !message.isPrivate && !message.private && (message.room || null) === receipt.room
+}
+
+// Apply a receipt_updated event: its user has received (or read) every message
+// of that conversation up to `receipt.upTo`
+export function applyReceipt(current, receipt) {
+  const upTo = Date.parse(receipt.upTo)
+  const kinds = receipt.type === 'read' ? ['delivered', 'read'] : ['delivered']
+  const entry = { id: receipt.userId, username: receipt.username, at: receipt.at }
+  return current.map((m) => {
+    if (m.system || m.senderId === receipt.userId || Date.parse(m.timestamp) > upTo) return m
+    if (!inReceiptConversation(m, receipt)) return m
+    const receipts = { delivered: [], read: [], ...m.receipts }
+    const missing = kinds.filter((kind) => !receipts[kind].some((r) => r.id === receipt.userId))
+    if (!missing.length) return m
+    missing.forEach((kind) => {
+      receipts[kind] = [...receipts[kind], entry]
+    })
+    return { ...m, receipts }
+  })
+}
+
+// Apply `update` to one conversation's buffer in a { [key]: messages[] } map
+export function updateBuffer(buffers, key, update) {
+  return { ...buffers, [key]: update(buffers[key] || []) }
+}
+
+// Patch a message wherever it is buffered
+export function patchInBuffers(buffers, id, changes) {
+  const next = {}
+  Object.keys(buffers).forEach((key) => {
+    next[key] = patchMessage(buffers[key], id, changes)
+  })
+  return next
+}
@@ -0,0 +1,94 @@
+// client/src/utils/notifications.js
+// Notification preferences and the browser APIs used to alert the user:
+// title badge, Web Notifications while the tab is hidden, and a short sound
+
+const STORAGE_PREFIX = 'notifications:'
+const DEFAULT_SETTINGS = { muted: {}, sound: false, desktop: false }
+const PREVIEW_LENGTH = 120
+
+// Settings are kept per account: { muted: { [conversationKey]: true }, sound, desktop }
+export function loadNotificationSettings(userId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + userId))
+    return { ...DEFAULT_SETTINGS, ...saved, muted: { ...(saved && saved.muted) } }
+  } catch {
+    return { ...DEFAULT_SETTINGS, muted: {} }
+  }
+}
+
+export function saveNotificationSettings(userId, settings) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(settings))
+  } catch {
+    // storage full or disabled: settings last for this session only
+  }
+}
+
+export function isMuted(settings, key) {
+  return !!settings.muted[key]
+}
+
+// Copy of `settings` with `key` muted or unmuted
+export function toggleMute(settings, key) {
+  const muted = { ...settings.muted }
+  if (muted[key]) delete muted[key]
+  else muted[key] = true
+  return { ...settings, muted }
+}
+
+export function titleWithBadge(baseTitle, count) {
+  return count > 0 ? `(${count > 99 ? '99+' : count}) ${baseTitle}` : baseTitle
+}
+
+// One line describing a message, for notification bodies
+export function messagePreview(message) {
+  const text = message.text || (message.attachment ? `📎 ${message.attachment.name}` : '')
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text
+}
+
+export function desktopNotificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+// Ask for permission to show notifications; resolves true when granted
+export async function requestDesktopPermission() {
+  if (!desktopNotificationsSupported()) return false
+  if (Notification.permission === 'granted') return true
+  if (Notification.permission === 'denied') return false
+  return (await Notification.requestPermission()) === 'granted'
+}
+
+// Show a system notification; `tag` replaces an earlier one for the same conversation
+export function showDesktopNotification({ title, body, tag, onClick }) {
+  if (!desktopNotificationsSupported() || Notification.permission !== 'granted') return
+  const notification = new Notification(title, { body, tag })
+  notification.onclick = () => {
+    window.focus()
+    notification.close()
+    if (onClick) onClick()
+  }
+}
+
+let audioContext = null
+
+// A short two-tone chime generated with Web Audio (no sound files to ship)
+export function playAlertSound() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+  try {
+    audioContext = audioContext || new AudioContext()
+    const now = audioContext.currentTime
+    ;[880, 660].forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.08, now + i * 0.12)
+      gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.12 + 0.1)
+      oscillator.connect(gain).connect(audioContext.destination)
+      oscillator.start(now + i * 0.12)
+      oscillator.stop(now + i * 0.12 + 0.1)
+    })
+  } catch {
+    // autoplay policy: sound starts working after the user interacts with the page
+  }
+}
@@ -0,0 +1,85 @@
+// client/src/utils/outbox.js
+// Messages the user sent that the server has not acknowledged yet
+//
+// Each entry is saved in localStorage under its own key, so tabs of the same
+// account never overwrite each other's entries and a reload resends what was
+// left. An entry is { clientId, event, payload, message, failed? }: the socket
+// event and payload to (re)send, the optimistic copy shown meanwhile, and the
+// error once the server refused it for good. The payload carries `clientId`,
+// which the server stores once per sender, so a resend never double-posts.
+
+const STORAGE_PREFIX = 'outbox:'
+// codes worth retrying after `retryAfter`; anything else fails the message
+const RETRYABLE = ['rate_limited', 'slow_mode', 'server_error']
+// wait before resending after a timeout or a server error (ms), doubled per attempt
+const RETRY_BASE = 1000
+const RETRY_MAX = 30000
+
+export function createClientId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+function storageKey(userId, clientId) {
+  return `${STORAGE_PREFIX}${userId}:${clientId}`
+}
+
+// The account's saved entries, oldest first
+export function loadOutbox(userId) {
+  const entries = []
+  try {
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i)
+      if (key && key.startsWith(`${STORAGE_PREFIX}${userId}:`)) entries.push(JSON.parse(localStorage.getItem(key)))
+    }
+  } catch {
+    // storage disabled or an unreadable entry: resend what could be read
+  }
+  return entries
+    .filter((entry) => entry && entry.clientId && entry.message)
+    .sort((a, b) => Date.parse(a.message.timestamp) - Date.parse(b.message.timestamp))
+}
+
+export function saveEntry(userId, entry) {
+  try {
+    localStorage.setItem(storageKey(userId, entry.clientId), JSON.stringify(entry))
+  } catch {
+    // storage full or disabled: the entry lasts for this session only
+  }
+}
+
+export function removeEntry(userId, clientId) {
+  try {
+    localStorage.removeItem(storageKey(userId, clientId))
+  } catch {
+    // nothing saved
+  }
+}
+
+// A new entry for `event` ('send_message' or 'private_message'). The optimistic
+// copy uses the client id as its id until the server's copy replaces it.
+export function createEntry(event, payload, { sender, senderId, attachment = null }) {
+  const clientId = createClientId()
+  const message = {
+    id: clientId,
+    clientId,
+    text: payload.text,
+    sender,
+    senderId,
+    timestamp: new Date().toISOString(),
+    pending: true,
+  }
+  if (event === 'private_message') Object.assign(message, { recipientId: payload.to, isPrivate: true, private: true })
+  else Object.assign(message, { room: payload.room || null, isPrivate: false })
+  if (payload.replyTo !== undefined && payload.replyTo !== null) message.replyTo = payload.replyTo
+  if (attachment) message.attachment = attachment
+  return { clientId, event, payload: { ...payload, clientId }, message }
+}
+
+// ms to wait before resending after `ack` (null: no ack, e.g. a timeout), or
+// null when the message should fail instead
+export function retryDelay(ack, attempt) {
+  if (ack && !RETRYABLE.includes(ack.code)) return null
+  if (ack && ack.retryAfter) return ack.retryAfter
+  return Math.min(RETRY_BASE * 2 ** attempt, RETRY_MAX)
+}
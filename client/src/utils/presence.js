@@ -0,0 +1,79 @@
+// client/src/utils/presence.js
+// Presence entries from the server ({ id, username, state, status, lastSeen, sessions })
+// and client-side idle detection
+
+// no input for this long marks the session idle (the server then shows the user away)
+export const IDLE_AFTER = 5 * 60 * 1000
+const IDLE_CHECK_INTERVAL = 15 * 1000
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel']
+
+export const PRESENCE_LABELS = {
+  online: 'Online',
+  away: 'Away',
+  dnd: 'Do not disturb',
+  offline: 'Offline',
+}
+
+// modes the user can choose; 'auto' is online, or away while idle
+export const PRESENCE_MODES = [
+  { value: 'auto', label: 'Online' },
+  { value: 'away', label: 'Away' },
+  { value: 'dnd', label: 'Do not disturb' },
+]
+
+// Merge a presence_update diff into the user list
+export function applyPresence(users, updates = []) {
+  const byId = new Map(updates.map((u) => [u.id, u]))
+  const next = users.map((u) => (byId.has(u.id) ? { ...u, ...byId.get(u.id) } : u))
+  const known = new Set(users.map((u) => u.id))
+  return [...next, ...updates.filter((u) => !known.has(u.id))]
+}
+
+// Add (`present`) or remove a user in a room's online list: { [roomId]: [{ id, username }] }
+export function applyRoomUser(roomUsers, room, user, present) {
+  const others = (roomUsers[room] || []).filter((u) => u.id !== user.id)
+  return { ...roomUsers, [room]: present ? [...others, user] : others }
+}
+
+// Connected users first, then by name
+export function sortByPresence(users) {
+  return [...users].sort((a, b) => {
+    const offline = (a.state === 'offline') - (b.state === 'offline')
+    return offline || a.username.localeCompare(b.username)
+  })
+}
+
+// "last seen 5 min ago" style text for an offline user
+export function formatLastSeen(lastSeen, now = Date.now()) {
+  if (!lastSeen) return 'never seen'
+  const minutes = Math.floor((now - Date.parse(lastSeen)) / 60000)
+  if (minutes < 1) return 'last seen just now'
+  if (minutes < 60) return `last seen ${minutes} min ago`
+  if (minutes < 24 * 60) return `last seen ${Math.floor(minutes / 60)} h ago`
+  return `last seen ${new Date(lastSeen).toLocaleDateString()}`
+}
+
+// Call `onChange(idle)` when the user stops interacting with the page for
+// `idleAfter` ms and again when they come back; returns a cleanup function
+export function watchIdle(onChange, idleAfter = IDLE_AFTER) {
+  let lastActivity = Date.now()
+  let idle = false
+  function activity() {
+    lastActivity = Date.now()
+    if (idle) {
+      idle = false
+      onChange(false)
+    }
+  }
+  const timer = setInterval(() => {
+    if (!idle && Date.now() - lastActivity >= idleAfter) {
+      idle = true
+      onChange(true)
+    }
+  }, IDLE_CHECK_INTERVAL)
+  ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, activity, { passive: true }))
+  return () => {
+    clearInterval(timer)
+    ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, activity))
+  }
+}
@@ -0,0 +1,25 @@
+// client/src/utils/rooms.js
+// Keeping the room list current from membership events
+
+// Apply a user_joined_room / user_left_room event ({ room, id, username }) to the
+// room list; joining uses up the user's invitation
+export function applyMembership(rooms, { room, id, username }, joined) {
+  return rooms.map((r) => {
+    if (r.id !== room) return r
+    const members = r.members.filter((m) => m.id !== id)
+    if (!joined) return { ...r, members }
+    return { ...r, members: [...members, { id, username }], invited: (r.invited || []).filter((invitee) => invitee !== id) }
+  })
+}
+
+// 'owner' | 'moderator' | 'member', or null for someone outside the room
+export function roleOf(room, userId) {
+  if (room.ownerId === userId) return 'owner'
+  if ((room.moderators || []).includes(userId)) return 'moderator'
+  return room.members.some((m) => m.id === userId) ? 'member' : null
+}
+
+export function isModerator(room, userId) {
+  const role = roleOf(room, userId)
+  return role === 'owner' || role === 'moderator'
+}
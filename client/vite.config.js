@@ -4,6 +4,12 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   server: {
-    port: 5173
+    port: 5173,
+    // the event protocol lives in ../shared, next to the server
+    fs: { allow: ['..'] }
+  },
+  // `npm test`: the store's unit tests, in a browser-like environment
+  test: {
+    environment: 'jsdom'
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,92 @@
+/**
+ * cluster.js - Run the chat server as several worker processes
+ *
+ *   CLUSTER_WORKERS=4 node cluster.js
+ *
+ * The primary owns the shared state (stores, presence and typing; see
+ * state.js) and the listening port. It hands each HTTP connection to a worker
+ * running server.js, always the same worker for a Socket.io session (sticky
+ * sessions, which the long-polling transport needs) and otherwise the least
+ * busy one. Workers relay broadcasts to each other through the cluster
+ * adapter, so an emit on any worker reaches clients on all of them.
+ *
+ * A worker that dies is replaced; its sessions are dropped from presence.
+ * HTTP rate limits are counted per worker.
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { serveState } = require('./state');
+const { publish, whenReady } = require('./utils/cluster');
+
+dotenv.config();
+
+const PORT = process.env.PORT || 5000;
+const CLUSTER_WORKERS = Number(process.env.CLUSTER_WORKERS) || os.availableParallelism();
+
+// Start the primary: resolves { server, state } once every worker is ready and
+// the port is open. `close()` stops the workers and the listener.
+async function startCluster({ port = PORT, workers = CLUSTER_WORKERS } = {}) {
+  // every worker must verify the tokens the others signed
+  if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'production') {
+    console.warn('JWT_SECRET is not set; the workers share a random secret (sessions end when the cluster restarts)');
+    process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  }
+
+  const state = serveState();
+  await state.init();
+
+  setupPrimary();
+  // sticky sessions pass Buffers and the shared state passes structured data to the workers
+  cluster.setupPrimary({ exec: path.join(__dirname, 'server.js'), serialization: 'advanced' });
+  let closing = false;
+
+  function fork() {
+    const worker = cluster.fork();
+    worker.once('exit', async (code, signal) => {
+      if (closing) return;
+      console.warn(`Worker ${worker.id} exited (${signal || code}); starting a replacement`);
+      try {
+        const users = await state.presence.dropWorker(worker.id);
+        if (users.length) publish('presence_update', { users });
+      } catch (err) {
+        console.error('dropWorker error', err);
+      }
+      fork();
+    });
+    return worker;
+  }
+
+  await Promise.all(Array.from({ length: workers }, () => whenReady(fork())));
+
+  const server = http.createServer();
+  setupMaster(server, { loadBalancingMethod: 'least-connection' });
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Cluster of ${workers} workers running on port ${port} (${state.description})`);
+
+  return {
+    server,
+    state,
+    async close() {
+      closing = true;
+      Object.values(cluster.workers).forEach((worker) => worker.kill());
+      await new Promise((resolve) => server.close(resolve));
+      await state.close();
+    },
+  };
+}
+
+if (require.main === module) {
+  startCluster().catch((err) => {
+    console.error('Failed to start cluster', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { startCluster };
@@ -0,0 +1,46 @@
+/**
+ * adminController.js - Server admin routes (accounts named in ADMIN_USERNAMES)
+ *
+ * Mounted at /api/admin behind requireAuth; everyone else gets 403:
+ * - GET /audit?room=&user=&limit=  -> { entries } moderation audit log, newest first
+ *
+ *   room   a room id, or "global" for server-wide actions (default: everything)
+ *   user   only actions taken on this user id
+ *   limit  entries to return (default 50, at most 500)
+ */
+
+const express = require('express');
+const { isAdmin } = require('../utils/moderation');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function createAdminRouter({ moderationStore }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!isAdmin(req.user)) {
+      res.status(403).json({ error: 'Admins only' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/audit', async (req, res) => {
+    try {
+      const { room, user } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+      const filters = { limit };
+      if (room) filters.room = room === 'global' ? null : String(room);
+      if (user) filters.targetId = String(user);
+      res.json({ entries: await moderationStore.listAudit(filters) });
+    } catch (err) {
+      console.error('GET /api/admin/audit error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
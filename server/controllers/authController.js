@@ -0,0 +1,101 @@
+/**
+ * authController.js - Account registration, login and session routes
+ *
+ * Mounted at /api/auth:
+ * - POST /register  { username, password } -> 201 { token, user }
+ * - POST /login     { username, password } -> 200 { token, user }
+ * - GET  /me        (Bearer token)         -> 200 { user }
+ */
+
+const express = require('express');
+const {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+} = require('../utils/auth');
+
+// Public shape of an account (never includes the password hash)
+function toPublicUser(account) {
+  return { id: account.id, username: account.username };
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Express middleware: resolves req.user from the Authorization header or responds 401
+function createRequireAuth(userStore) {
+  return async function requireAuth(req, res, next) {
+    try {
+      const claims = verifyToken(readBearerToken(req));
+      const account = claims && (await userStore.findById(claims.sub));
+      if (!account) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return;
+      }
+      req.user = toPublicUser(account);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function createAuthRouter({ userStore }) {
+  const router = express.Router();
+  const requireAuth = createRequireAuth(userStore);
+
+  router.post('/register', async (req, res) => {
+    try {
+      const username = String(req.body.username || '').trim();
+      const password = String(req.body.password || '');
+      const invalid = validateCredentials(username, password);
+      if (invalid) {
+        res.status(400).json({ error: invalid });
+        return;
+      }
+      if (await userStore.findByUsername(username)) {
+        res.status(409).json({ error: 'Username is already taken' });
+        return;
+      }
+      const account = await userStore.create({ username, passwordHash: await hashPassword(password) });
+      if (!account) {
+        res.status(409).json({ error: 'Username is already taken' });
+        return;
+      }
+      res.status(201).json({ token: signToken(account), user: toPublicUser(account) });
+    } catch (err) {
+      console.error('POST /api/auth/register error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    try {
+      const username = String(req.body.username || '').trim();
+      const password = String(req.body.password || '');
+      const account = await userStore.findByUsername(username);
+      // same response for unknown user and wrong password
+      if (!account || !(await verifyPassword(password, account.passwordHash))) {
+        res.status(401).json({ error: 'Invalid username or password' });
+        return;
+      }
+      res.json({ token: signToken(account), user: toPublicUser(account) });
+    } catch (err) {
+      console.error('POST /api/auth/login error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter, createRequireAuth, toPublicUser };
@@ -0,0 +1,41 @@
+/**
+ * roomController.js - Room registry routes
+ *
+ * Mounted at /api/rooms behind requireAuth:
+ * - GET /      -> rooms visible to the caller
+ * - GET /:id   -> one room, 404 if it does not exist or is hidden from the caller
+ */
+
+const express = require('express');
+const { canView, listVisibleRooms } = require('../utils/rooms');
+
+function createRoomRouter({ roomStore }) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listVisibleRooms(roomStore, req.user.id));
+    } catch (err) {
+      console.error('GET /api/rooms error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const room = await roomStore.get(req.params.id);
+      if (!room || !canView(room, req.user.id)) {
+        res.status(404).json({ error: 'Room not found' });
+        return;
+      }
+      res.json(room);
+    } catch (err) {
+      console.error('GET /api/rooms/:id error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRoomRouter };
@@ -0,0 +1,99 @@
+/**
+ * searchController.js - Full-text message search
+ *
+ * Mounted at /api/search behind requireAuth:
+ * - GET /?q=&room=&from=&sender=&limit=  -> { terms, results: [{ message, snippet }], hasMore }
+ *
+ *   q       words to find (required); the last one also matches as a prefix
+ *   room    a room id, or "global" for the public channel
+ *   from    only messages sent at or after this date (ISO 8601)
+ *   sender  only messages from this username
+ *
+ * Results are newest first and limited to what the caller may read: the
+ * global channel, rooms they can read and their own private messages.
+ */
+
+const express = require('express');
+const { tokenize } = require('../store/searchIndex');
+const { canRead } = require('../utils/rooms');
+const { canReadMessage } = require('../utils/messages');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_BEFORE = 40; // characters of context before the first match
+const SNIPPET_LENGTH = 160;
+
+// Excerpt of `text` around the first occurrence of any term
+function snippetOf(text, terms) {
+  const lower = text.toLowerCase();
+  const hits = terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, first - SNIPPET_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function createSearchRouter({ messageStore, roomStore, userStore }) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const q = String(req.query.q || '').trim();
+      const terms = tokenize(q);
+      if (!q || q.length > MAX_QUERY_LENGTH || terms.length === 0) {
+        res.status(400).json({ error: 'Invalid search query' });
+        return;
+      }
+      const from = req.query.from ? Date.parse(req.query.from) : null;
+      if (Number.isNaN(from)) {
+        res.status(400).json({ error: 'Invalid from date' });
+        return;
+      }
+
+      const room = req.query.room ? String(req.query.room) : null;
+      if (room && room !== 'global') {
+        const roomRecord = await roomStore.get(room);
+        if (!roomRecord || !canRead(roomRecord, req.user.id)) {
+          res.status(403).json({ error: 'Not a member of this room' });
+          return;
+        }
+      }
+
+      let senderId = null;
+      if (req.query.sender) {
+        const sender = await userStore.findByUsername(String(req.query.sender));
+        if (!sender) {
+          res.json({ terms, results: [], hasMore: false });
+          return;
+        }
+        senderId = sender.id;
+      }
+
+      const rooms = new Map((await roomStore.list()).map((r) => [r.id, r]));
+      const filter = (message) => {
+        if (message.deleted) return false;
+        if (room === 'global' && (message.room || message.isPrivate)) return false;
+        if (room && room !== 'global' && message.room !== room) return false;
+        if (senderId && message.senderId !== senderId) return false;
+        if (from !== null && Date.parse(message.timestamp) < from) return false;
+        return canReadMessage(message, req.user.id, message.room ? rooms.get(message.room) : null);
+      };
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+      const { messages, hasMore } = await messageStore.search(q, { filter, limit });
+
+      res.json({
+        terms,
+        results: messages.map((message) => ({ message, snippet: snippetOf(message.text, terms) })),
+        hasMore,
+      });
+    } catch (err) {
+      console.error('GET /api/search error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,81 @@
+/**
+ * uploadController.js - File attachment upload and download routes
+ *
+ * Mounted at /api/uploads behind requireAuth:
+ * - POST /?name=<filename>  raw file body with its Content-Type -> 201 attachment descriptor
+ * - GET  /:id               file contents; 404 unless the caller uploaded it or
+ *                           can read the message it was sent in
+ *
+ * An upload only becomes visible to others once a message references it
+ * (send_message / private_message `attachmentId`).
+ */
+
+const express = require('express');
+const { validateUpload, sanitizeName, describeAttachment } = require('../utils/attachments');
+const { canReadMessage } = require('../utils/messages');
+
+function createUploadRouter({ attachmentStore, messageStore, roomStore, maxBytes }) {
+  const router = express.Router();
+
+  // Whether `userId` may download `attachment`
+  async function canDownload(attachment, userId) {
+    if (!attachment.messageId) return attachment.uploaderId === userId;
+    const message = await messageStore.get(attachment.messageId);
+    if (!message || message.deleted) return false;
+    const room = message.room ? await roomStore.get(message.room) : null;
+    return canReadMessage(message, userId, room);
+  }
+
+  router.post('/', express.raw({ type: () => true, limit: maxBytes }), async (req, res) => {
+    try {
+      const mimeType = String(req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const invalid = validateUpload(mimeType, data, maxBytes);
+      if (invalid) {
+        res.status(400).json({ error: invalid });
+        return;
+      }
+      const attachment = await attachmentStore.create({
+        name: sanitizeName(req.query.name),
+        mimeType,
+        data,
+        uploaderId: req.user.id,
+      });
+      res.status(201).json(describeAttachment(attachment));
+    } catch (err) {
+      console.error('POST /api/uploads error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const attachment = await attachmentStore.get(req.params.id);
+      if (!attachment || !(await canDownload(attachment, req.user.id))) {
+        res.status(404).json({ error: 'File not found' });
+        return;
+      }
+      const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+      res.set('Content-Type', attachment.mimeType);
+      res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+      res.set('Cache-Control', 'private, max-age=3600');
+      res.sendFile(await attachmentStore.pathOf(attachment));
+    } catch (err) {
+      console.error('GET /api/uploads/:id error', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // body-parser rejects oversized uploads before the handler runs
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      res.status(413).json({ error: 'File too large' });
+      return;
+    }
+    next(err);
+  });
+
+  return router;
+}
+
+module.exports = { createUploadRouter };
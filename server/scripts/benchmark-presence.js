@@ -0,0 +1,141 @@
+/**
+ * benchmark-presence.js - Server traffic per presence and typing event
+ *
+ * Starts the chat server in this process with in-memory stores, connects
+ * CLIENTS simulated users over WebSocket (default 1000) and reports how many
+ * Socket.io packets and bytes the server sends for each kind of event:
+ *
+ *   npm run bench:presence
+ *   CLIENTS=200 ROOM_SIZE=50 npm run bench:presence
+ *
+ * Accounts are created directly in the user store and their tokens signed
+ * locally, so neither password hashing nor the HTTP rate limits are involved.
+ * Typing is sent per keystroke, faster than the socket rate limits allow, so
+ * its limit is raised here.
+ * Presence only travels between users who share a room or a DM, so the
+ * simulated users, who only share the one room, hear about each other's joins
+ * only inside it.
+ */
+
+process.env.PORT = process.env.PORT || '5099';
+process.env.MESSAGE_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'benchmark-secret';
+process.env.SOCKET_RATE_LIMITS = JSON.stringify({ typing: { socket: { burst: 100, rate: 100 }, user: { burst: 100, rate: 100 } } });
+
+const { io: connectClient } = require('socket.io-client');
+const { server, io, userStore } = require('../server');
+const { signToken } = require('../utils/auth');
+const { PROTOCOL_VERSION } = require('../../shared/protocol.mjs');
+
+const CLIENTS = parseInt(process.env.CLIENTS, 10) || 1000;
+const ROOM_SIZE = Math.min(parseInt(process.env.ROOM_SIZE, 10) || 100, CLIENTS);
+const CONNECT_BATCH = 50;
+const SETTLE_MS = 800; // longer than the typing broadcast throttle
+const URL = `http://localhost:${process.env.PORT}`;
+
+const traffic = { packets: 0, bytes: 0 };
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Count every packet the server writes to any client
+io.engine.on('connection', (rawSocket) => {
+  rawSocket.on('packetCreate', (packet) => {
+    if (packet.type !== 'message') return;
+    traffic.packets += 1;
+    traffic.bytes += typeof packet.data === 'string' ? Buffer.byteLength(packet.data) : packet.data.length;
+  });
+});
+
+async function createClient(index) {
+  const account =
+    (await userStore.findByUsername(`bench${index}`)) ||
+    (await userStore.create({ username: `bench${index}`, passwordHash: 'x' }));
+  const socket = connectClient(URL, {
+    transports: ['websocket'],
+    auth: { token: signToken(account), protocol: PROTOCOL_VERSION },
+    reconnection: false,
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  await socket.emitWithAck('user_join', {});
+  return socket;
+}
+
+// Run `action` and report the server's traffic until things settle
+const results = [];
+async function measure(label, action, events = 1) {
+  await wait(SETTLE_MS);
+  traffic.packets = 0;
+  traffic.bytes = 0;
+  await action();
+  await wait(SETTLE_MS);
+  results.push({
+    event: label,
+    packets: Math.round(traffic.packets / events),
+    'bytes': Math.round(traffic.bytes / events),
+    'bytes/client': +(traffic.bytes / events / CLIENTS).toFixed(1),
+  });
+}
+
+async function main() {
+  await new Promise((resolve) => (server.listening ? resolve() : server.once('listening', resolve)));
+
+  console.log(`Connecting ${CLIENTS} clients...`);
+  const clients = [];
+  for (let i = 0; i < CLIENTS - 1; i += CONNECT_BATCH) {
+    const batch = [];
+    for (let j = i; j < Math.min(i + CONNECT_BATCH, CLIENTS - 1); j += 1) batch.push(createClient(j));
+    clients.push(...(await Promise.all(batch)));
+  }
+  const [owner, typist] = clients;
+
+  const { room } = await owner.emitWithAck('create_room', { name: `bench-${Date.now()}` });
+  for (const client of clients.slice(1, ROOM_SIZE)) await client.emitWithAck('join_room', room.id);
+
+  let newcomer;
+  await measure('user connects (first session)', async () => {
+    newcomer = await createClient(CLIENTS - 1);
+  });
+  await measure('typing in global chat, per keystroke (20)', async () => {
+    for (let i = 0; i < 20; i += 1) {
+      typist.emit('typing', { isTyping: true });
+      await wait(20);
+    }
+  }, 20);
+  await measure('typing stops in global chat', async () => {
+    typist.emit('typing', { isTyping: false });
+  });
+  await measure(`typing in a ${ROOM_SIZE}-member room, per keystroke (20)`, async () => {
+    for (let i = 0; i < 20; i += 1) {
+      typist.emit('typing', { isTyping: true, room: room.id });
+      await wait(20);
+    }
+  }, 20);
+  await measure('typing expires in the room (no stop sent)', () => wait(6500));
+  await measure('idle -> away', async () => {
+    typist.emit('set_idle', { idle: true });
+  });
+  await measure('custom status change', async () => {
+    await typist.emitWithAck('set_status', { status: 'benchmarking' });
+  });
+  await measure(`user joins a ${ROOM_SIZE}-member room`, async () => {
+    await newcomer.emitWithAck('join_room', room.id);
+  });
+  await measure('user disconnects (last session)', async () => {
+    newcomer.disconnect();
+  });
+
+  console.log(`\n${CLIENTS} clients, room of ${ROOM_SIZE} members; server -> client traffic per event:`);
+  console.table(results);
+
+  clients.forEach((client) => client.disconnect());
+  io.close();
+  server.close();
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('benchmark failed', err);
+  process.exit(1);
+});
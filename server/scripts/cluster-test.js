@@ -0,0 +1,184 @@
+/**
+ * cluster-test.js - Check that clustered workers behave like one server
+ *
+ * Starts a two-worker cluster (see ../cluster.js) with in-memory stores,
+ * connects two users over the default transports (long-polling, then
+ * WebSocket, so sticky sessions are exercised) until they sit on different
+ * workers, and checks that what one of them does reaches the other:
+ *
+ *   npm run test:cluster
+ *
+ * Exits non-zero if any check fails.
+ */
+
+process.env.PORT = process.env.PORT || '5098';
+process.env.MESSAGE_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'cluster-test-secret';
+
+const cluster = require('cluster');
+const { io: connectClient } = require('socket.io-client');
+const { startCluster } = require('../cluster');
+const { PROTOCOL_VERSION } = require('../../shared/protocol.mjs');
+
+const URL = `http://localhost:${process.env.PORT}`;
+const TIMEOUT = 3000; // ms to wait for any one event
+const MAX_CLIENTS = 6; // sessions to open while looking for one on another worker
+
+const sessionWorkers = new Map(); // engine.io session id -> worker id
+cluster.on('message', (worker, message) => {
+  if (message && message.type === 'sticky:connection') sessionWorkers.set(message.data, worker.id);
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function api(route, { method = 'GET', body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${URL}${route}`, { method, headers, body: body && JSON.stringify(body) });
+  return res.json();
+}
+
+// Resolve the next `event` on `socket` whose payload passes `test`
+function next(socket, event, test = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`no ${event} within ${TIMEOUT}ms`));
+    }, TIMEOUT);
+    function listener(payload, ack) {
+      if (!test(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      if (typeof ack === 'function') ack();
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+async function connect(token) {
+  const socket = connectClient(URL, { auth: { token, protocol: PROTOCOL_VERSION }, reconnection: false });
+  await next(socket, 'connect');
+  // the polling handshake is what the primary pins to a worker
+  for (let i = 0; i < 20 && !sessionWorkers.has(socket.io.engine.id); i += 1) await wait(50);
+  socket.worker = sessionWorkers.get(socket.io.engine.id);
+  return socket;
+}
+
+// Open sessions for `token` until one lands on a worker other than `worker`
+async function connectElsewhere(token, worker, sockets) {
+  while (sockets.length < MAX_CLIENTS) {
+    const socket = await connect(token);
+    sockets.push(socket);
+    if (socket.worker !== worker) return socket;
+  }
+  return null;
+}
+
+async function main() {
+  const results = [];
+  async function check(name, run) {
+    try {
+      results.push({ check: name, result: (await run()) || 'ok' });
+    } catch (err) {
+      results.push({ check: name, result: `FAILED: ${err.message}` });
+    }
+  }
+
+  const clusterHandle = await startCluster({ workers: 2 });
+  const sockets = [];
+  try {
+    const suffix = Date.now().toString(36);
+    const alice = await api('/api/auth/register', { method: 'POST', body: { username: `alice_${suffix}`, password: 'password123' } });
+    const bob = await api('/api/auth/register', { method: 'POST', body: { username: `bob_${suffix}`, password: 'password123' } });
+
+    const a = await connect(alice.token);
+    sockets.push(a);
+    const b = await connectElsewhere(bob.token, a.worker, sockets);
+
+    await check('sessions on different workers', () => {
+      if (!b) throw new Error(`every session landed on worker ${a.worker}`);
+      return `alice on ${a.worker}, bob on ${b.worker}`;
+    });
+    if (!b) return results;
+
+    // presence only travels between users sharing a room, so they share one first
+    await a.emitWithAck('user_join', {});
+    const { room } = await a.emitWithAck('create_room', { name: `cluster-${suffix}` });
+    const bobJoined = next(a, 'presence_update', ({ users }) => users.some((u) => u.id === bob.user.id));
+    await b.emitWithAck('join_room', room.id);
+    await b.emitWithAck('user_join', {});
+
+    await check('presence update crosses workers', async () => {
+      await bobJoined;
+    });
+
+    await check('global message crosses workers', async () => {
+      const received = next(b, 'receive_message', (m) => m.text === 'hello from alice');
+      const ack = await a.emitWithAck('send_message', { text: 'hello from alice' });
+      if (!ack.ok) throw new Error(ack.error);
+      await received;
+    });
+
+    await check('room message crosses workers', async () => {
+      const received = next(b, 'receive_message', (m) => m.room === room.id);
+      await a.emitWithAck('send_message', { room: room.id, text: 'room hello' });
+      await received;
+    });
+
+    await check('private message delivered across workers', async () => {
+      const status = next(a, 'message_status', (s) => s.status === 'delivered');
+      const received = next(b, 'private_message', (m) => m.text === 'psst');
+      const ack = await a.emitWithAck('private_message', { to: bob.user.id, text: 'psst' });
+      if (ack.status !== 'sent') throw new Error(`sent as ${ack.status}`);
+      await received;
+      await status;
+    });
+
+    await check('typing crosses workers', async () => {
+      const typing = next(b, 'typing_users', ({ users }) => users.includes(alice.user.username));
+      a.emit('typing', { isTyping: true });
+      await typing;
+      a.emit('typing', { isTyping: false });
+    });
+
+    await check('history is shared', async () => {
+      const page = await b.emitWithAck('fetch_history', {});
+      if (!page.messages.some((m) => m.text === 'hello from alice')) throw new Error('message missing from history');
+    });
+
+    await check('leaving is seen across workers', async () => {
+      const offline = next(a, 'presence_update', ({ users }) =>
+        users.some((u) => u.id === bob.user.id && u.state === 'offline')
+      );
+      sockets.filter((s) => s !== a).forEach((s) => s.disconnect());
+      await offline;
+    });
+
+    await check("a dead worker's sessions go offline", async () => {
+      sockets.splice(1);
+      const again = await connectElsewhere(bob.token, a.worker, sockets);
+      if (!again) throw new Error('no session on the other worker');
+      await again.emitWithAck('user_join', {});
+      const offline = next(a, 'presence_update', ({ users }) =>
+        users.some((u) => u.id === bob.user.id && u.state === 'offline')
+      );
+      cluster.workers[again.worker].process.kill();
+      await offline;
+    });
+  } finally {
+    sockets.forEach((s) => s.disconnect());
+    await clusterHandle.close();
+  }
+  return results;
+}
+
+main()
+  .then((results) => {
+    console.table(results);
+    process.exit(results.every((r) => !r.result.startsWith('FAILED')) ? 0 : 1);
+  })
+  .catch((err) => {
+    console.error('cluster test failed', err);
+    process.exit(1);
+  });
@@ -3,29 +3,94 @@
  *
  * Improvements:
  * - Uses socket.data to store per-socket metadata
- * - Uses Map for users
- * - Adds room join/leave support
+ * - Presence per account (every tab/reconnect is one person): online/away/dnd/offline,
+ *   idle detection, last-seen and custom status, sent as presence_update diffs
+ * - Room registry (create/rename/delete, topic, visibility, members) with join/leave
  * - Adds validation and message ack callbacks
  * - Adds basic HTTP rate limiting and helmet security headers
  * - Configurable max stored messages via environment variable
+ * - Pluggable message store (in-memory or JSONL file) so history survives restarts
+ * - Account registration/login with signed session tokens checked on every socket
+ * - Private messages to offline users are queued and delivered on their next join
+ * - Messages carrying a client id are stored once, so client retries never double-post
+ * - Messages are numbered per conversation (`seq`); after a reconnect clients fetch
+ *   exactly what they missed with `sync`, unless connection state recovery already
+ *   replayed it
+ * - Authors (and room moderators) can edit and delete messages
+ * - Threaded replies with quoted previews
+ * - Per-recipient delivered/read watermarks, persisted and returned with history
+ * - File/image attachments uploaded to local disk and downloadable by the message's readers
+ * - Markdown subset parsed into a sanitized AST (`content`) stored next to the raw text
+ * - @username / @room mentions resolved to users and pushed to them as `mention` events
+ * - Indexed full-text search over the history the caller is allowed to read
+ * - Room roles (owner/moderator/member), kicks, bans (account and IP), timed mutes
+ *   and slow mode, with an admin-only audit log
+ * - Token-bucket limits per socket and per user on every socket event, escalating
+ *   from refusals to throttling to a temporary disconnect, and duplicate-spam checks
+ * - Versioned event protocol (shared/protocol.mjs): every payload is checked against
+ *   its schema before a handler runs, and failed acks carry an error `code`
+ * - Runs alone or as one of several cluster workers (see cluster.js) that share
+ *   state through the primary and broadcast through the Socket.io cluster adapter
  */
 
+const cluster = require('cluster');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createState, connectState } = require('./state');
+const { createAuthRouter, createRequireAuth } = require('./controllers/authController');
+const { createRoomRouter } = require('./controllers/roomController');
+const { createUploadRouter } = require('./controllers/uploadController');
+const { createSearchRouter } = require('./controllers/searchController');
+const { createAdminRouter } = require('./controllers/adminController');
+const { createSocketAuth } = require('./socket/authMiddleware');
+const {
+  registerRoomHandlers,
+  joinRoom,
+  joinMemberRooms,
+  memberRooms,
+  onlineMembers,
+  announceMember,
+} = require('./socket/roomHandlers');
+const { registerMessageHandlers } = require('./socket/messageHandlers');
+const {
+  registerPresenceHandlers,
+  peersOf,
+  broadcastPresence,
+  announcePeer,
+  linkContacts,
+} = require('./socket/presenceHandlers');
+const { registerModerationHandlers, createBanGuard } = require('./socket/moderationHandlers');
+const { applyRateLimits, checkDuplicate, recordMessage, createFloodGuard } = require('./socket/rateLimitMiddleware');
+const { checkProtocol, applyValidation } = require('./socket/protocolMiddleware');
+const { canRead, listVisibleRooms, userRoom, resolveTargetRoom } = require('./utils/rooms');
+const { audienceOf, canReadMessage, quoteOf, readThread } = require('./utils/messages');
+const { describeAttachment, claimAttachment } = require('./utils/attachments');
+const { parseMessage } = require('./utils/markdown');
+const { resolveMentions, notifyMentions } = require('./utils/mentions');
+const { sessionOf } = require('./utils/presence');
+const { isAdmin, checkSend } = require('./utils/moderation');
+const { createRateLimiter, readLimits } = require('./utils/rateLimit');
+const { announceReady, subscribe } = require('./utils/cluster');
+const { roomConversation, dmConversation, conversationOf, receiptsFor, withReceipts, receiptEvent } = require('./utils/receipts');
 
 // Load environment variables
 dotenv.config();
 
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
 const PORT = process.env.PORT || 5000;
-const MAX_STORED_MESSAGES = Number(process.env.MAX_STORED_MESSAGES) || 200;
 const MAX_MESSAGE_LENGTH = Number(process.env.MAX_MESSAGE_LENGTH) || 1000;
+const DELIVERY_TIMEOUT = Number(process.env.DELIVERY_TIMEOUT) || 10000; // ms to wait for a recipient's ack
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const RECOVERY_WINDOW = Number(process.env.RECOVERY_WINDOW) || 2 * 60 * 1000; // ms a dropped session can be resumed
+const SYNC_PAGE = 100; // messages per conversation in one sync ack
 
 // Initialize Express app
 const app = express();
@@ -36,7 +101,13 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
     credentials: true,
   },
+  // a client reconnecting within the window gets the broadcasts it missed replayed
+  // (single process only: the cluster adapter does not keep sessions); the
+  // handshake middlewares still run
+  connectionStateRecovery: { maxDisconnectionDuration: RECOVERY_WINDOW, skipMiddlewares: false },
 });
+// cluster workers relay broadcasts to each other through the primary
+if (cluster.isWorker) io.adapter(createAdapter());
 
 // Middleware
 app.use(helmet());
@@ -49,252 +120,557 @@ app.use(
 app.use(express.json({ limit: '50kb' })); // limit body size
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Attachment downloads: every image in view is fetched one by one, so they get
+// their own, larger allowance instead of using up the general API limit
+const isDownload = (req) => req.method === 'GET' && /^\/uploads\/[^/]+\/?$/.test(req.path);
+const downloadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 2000, // limit each IP to 2000 downloads per windowMs
+});
+app.get('/api/uploads/:id', downloadLimiter);
+
 // Basic rate limiter for API endpoints
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 200, // limit each IP to 200 requests per windowMs
+  skip: isDownload,
 });
 app.use('/api/', apiLimiter);
 
-// In-memory stores (for demo/assignment; replace with DB for production)
-const users = new Map(); // socketId -> { id, username }
-const messages = []; // recent messages
-const typingUsers = new Map(); // socketId -> username
+// Stricter limiter for credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 login/register attempts per windowMs
+});
+
+// Per-socket and per-user limits on socket events (SOCKET_RATE_LIMITS overrides the defaults)
+const socketLimiter = createRateLimiter({ limits: readLimits(process.env.SOCKET_RATE_LIMITS) });
+
+// Stores, presence and typing live in this process, or in the cluster primary
+// for workers (see state.js). Typing changes go to the room (or everyone, for
+// the global chat); a worker hears every change and tells its own sockets.
+const state = cluster.isWorker
+  ? connectState({ onTyping: (room, usernames) => emitTyping(io.local, room, usernames) })
+  : createState({ onTyping: (room, usernames) => emitTyping(io, room, usernames) });
+const { messageStore, userStore, roomStore, receiptStore, attachmentStore, moderationStore, presence, typing } = state;
+const requireAuth = createRequireAuth(userStore);
+
+function emitTyping(target, room, usernames) {
+  (room ? target.to(room) : target).emit('typing_users', { room, users: usernames });
+}
+// presence changes made by the primary itself (a worker died) reach each worker's
+// sockets that share a room or a DM with the user
+if (cluster.isWorker) {
+  subscribe('presence_update', ({ users }) =>
+    Promise.all(users.map((update) => broadcastPresence(io.local, { roomStore, userStore }, update))).catch((err) =>
+      console.error('presence_update relay error', err)
+    )
+  );
+}
+
+// Move a user's delivered/read watermark up to `message`; when it moves, the
+// message's audience gets a receipt_updated event. Resolves the record or null.
+async function recordReceipt(user, kind, message) {
+  const record = await receiptStore.advance(conversationOf(message), user, kind, message);
+  if (record) audienceOf(io, message).emit('receipt_updated', receiptEvent(record, kind, message));
+  return record;
+}
+
+// Users connected to a public message's audience when it is broadcast have
+// received it; resolves the message's receipts after recording that
+async function recordBroadcastDelivery(message) {
+  const recipients = new Map();
+  (await audienceOf(io, message).fetchSockets()).forEach(({ data }) => {
+    if (data.userId && data.userId !== message.senderId) recipients.set(data.userId, data.username);
+  });
+  const conversation = conversationOf(message);
+  for (const [id, username] of recipients) {
+    await receiptStore.advance(conversation, { id, username }, 'delivered', message);
+  }
+  return receiptsFor(message, await receiptStore.listConversation(conversation));
+}
+
+// A history page reaching its reader counts as delivered. Resolves the page with
+// per-message receipts and the reader's own read watermark (`readUpTo`).
+async function presentHistory(user, room, page) {
+  const newest = page.messages[page.messages.length - 1];
+  if (newest) await recordReceipt(user, 'delivered', newest);
+  const own = await receiptStore.get(roomConversation(room), user.id);
+  return {
+    ...page,
+    messages: await withReceipts(receiptStore, page.messages),
+    readUpTo: own ? own.read : null,
+  };
+}
+
+// Resolve the optional upload an outgoing message shares: { attachment } (null
+// when there is none) or { code, error }
+async function readAttachment(socket, attachmentId) {
+  if (attachmentId === undefined || attachmentId === null) return { attachment: null };
+  return claimAttachment(attachmentStore, attachmentId, socket.data.userId);
+}
+
+// Store a new message, first reserving the upload it shares so that two sends
+// racing with the same attachment id cannot both use it. Resolves the stored
+// message (flagged `duplicate` as messageStore.append does), or null when the
+// upload was taken in the meantime.
+async function appendMessage(draft, attachment) {
+  if (attachment && !(await attachmentStore.reserve(attachment.id, draft.senderId))) return null;
+  let message;
+  try {
+    message = await messageStore.append(draft);
+  } catch (err) {
+    if (attachment) await attachmentStore.release(attachment.id);
+    throw err;
+  }
+  if (attachment) {
+    if (message.duplicate) await attachmentStore.release(attachment.id);
+    else await attachmentStore.attach(attachment.id, message.id);
+  }
+  return message;
+}
+
+// The ack for a message already stored under the client id a send carries: the
+// client's outbox resends until it gets an ack, and the first ack may have been lost
+function duplicateAck(message) {
+  return { ok: true, messageId: message.id, timestamp: message.timestamp, status: message.status, duplicate: true };
+}
+
+// The message this socket's user already sent with `clientId` (or null)
+async function findResent(socket, clientId) {
+  return clientId ? messageStore.findByClientId(socket.data.userId, clientId) : null;
+}
+
+// Record that a private message reached its recipient and tell the sender's sessions
+async function markDelivered(message) {
+  const updated = await messageStore.update(message.id, {
+    status: 'delivered',
+    deliveredAt: new Date().toISOString(),
+  });
+  if (!updated) return;
+  const recipient = await userStore.findById(updated.recipientId);
+  if (recipient) await recordReceipt({ id: recipient.id, username: recipient.username }, 'delivered', updated);
+  io.to(userRoom(updated.senderId)).emit('message_status', {
+    messageId: updated.id,
+    recipientId: updated.recipientId,
+    status: updated.status,
+    deliveredAt: updated.deliveredAt,
+  });
+}
 
-// Helper to broadcast user list
-function broadcastUserList() {
-  io.emit('user_list', Array.from(users.values()));
+// Push a private message to the recipient's sessions; it counts as delivered once any session acks
+function deliverPrivateMessage(message) {
+  io.to(userRoom(message.recipientId))
+    .timeout(DELIVERY_TIMEOUT)
+    .emit('private_message', message, (err, responses) => {
+      // without an ack the message stays queued and is retried on the recipient's next join
+      if (!responses || responses.length === 0) return;
+      markDelivered(message).catch((e) => console.error('markDelivered error', e));
+    });
 }
 
-// Helper to broadcast typing users
-function broadcastTypingUsers() {
-  io.emit('typing_users', Array.from(typingUsers.values()));
+const flushingQueues = new Set(); // userIds whose offline queue is being delivered
+
+// Deliver private messages queued while the user was offline, one at a time and in send order
+async function deliverQueued(socket) {
+  const { userId } = socket.data;
+  if (flushingQueues.has(userId)) return;
+  flushingQueues.add(userId);
+  try {
+    const pending = await messageStore.listUndelivered(userId);
+    for (const message of pending) {
+      await socket.timeout(DELIVERY_TIMEOUT).emitWithAck('private_message', message);
+      await markDelivered(message);
+    }
+  } catch (err) {
+    // ack timeout or disconnect: whatever is left stays queued for the next join
+    console.warn(`offline queue for ${socket.data.username} interrupted: ${err.message}`);
+  } finally {
+    flushingQueues.delete(userId);
+  }
 }
 
+// Reject clients speaking an outdated protocol, sockets without a valid session
+// token, and those of users banned server-wide or still blocked for flooding
+io.use(checkProtocol);
+io.use(createSocketAuth(userStore));
+io.use(createBanGuard(moderationStore));
+io.use(createFloodGuard(socketLimiter));
+
 // Socket.io connection handler
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
+  socket.join(userRoom(socket.data.userId));
+  // before any handler, so over-limit events never reach one
+  applyRateLimits(io, socket, socketLimiter);
+  // handlers below receive payloads that match their schema in shared/protocol.mjs
+  applyValidation(socket);
+
+  registerRoomHandlers(io, socket, { roomStore, presence, moderationStore });
+  registerMessageHandlers(io, socket, {
+    messageStore,
+    roomStore,
+    userStore,
+    moderationStore,
+    maxMessageLength: MAX_MESSAGE_LENGTH,
+  });
+  registerPresenceHandlers(io, socket, { presence, roomStore, userStore });
+  registerModerationHandlers(io, socket, { roomStore, userStore, moderationStore });
 
-  // When a client provides username and optionally a room to join
+  // Announce presence and optionally join a room: { room? }
+  // The username comes from the authenticated session; payload.username is ignored
   // callback (ack) used to acknowledge
-  socket.on('user_join', (payload = {}, callback) => {
+  socket.on('user_join', async (payload, callback) => {
     try {
-      const username = String(payload.username || 'Anonymous').trim().slice(0, 50);
-      if (!username) {
-        if (typeof callback === 'function') callback({ ok: false, error: 'Invalid username' });
-        return;
+      const { userId, username } = socket.data;
+      const { first: isFirstSession, update } = await presence.connect(sessionOf(socket));
+
+      // Subscribe this session to the rooms its user already belongs to, with
+      // who is online in each; the rooms hear of the user's first session only
+      const rooms = await joinMemberRooms(socket, roomStore);
+      socket.emit('room_list', await listVisibleRooms(roomStore, userId));
+      const entry = await presence.get(userId);
+      for (const room of rooms) {
+        socket.emit('room_users', { room: room.id, users: await onlineMembers(room, presence) });
+        if (isFirstSession) announceMember(io, room.id, entry, true);
       }
 
-      // store username in socket.data
-      socket.data.username = username;
-      users.set(socket.id, { id: socket.id, username });
+      // This session gets its peers' presence, the peers the change; only a
+      // user's first session counts as joining
+      socket.emit('user_list', await presence.entriesOf(await peersOf({ roomStore, userStore }, userId)));
+      await broadcastPresence(io, { roomStore, userStore }, update);
+      if (isFirstSession) await announcePeer(io, { roomStore, userStore }, { id: userId, username }, 'user_joined');
+      console.log(`${username} joined (socket=${socket.id})`);
+
+      deliverQueued(socket);
 
-      // Optionally join a room
+      // Optionally join another room
       if (payload.room) {
-        const room = String(payload.room);
-        socket.join(room);
-        socket.data.room = room;
-        socket.to(room).emit('user_joined_room', { username, id: socket.id, room });
+        const joined = await joinRoom(io, socket, { roomStore, presence, moderationStore }, payload.room);
+        if (joined.error) {
+          if (typeof callback === 'function') callback({ ok: false, ...joined });
+          return;
+        }
       }
-
-      // Broadcast globally the updated user list and join event
-      broadcastUserList();
-      io.emit('user_joined', { username, id: socket.id });
-
-      console.log(`${username} joined (socket=${socket.id})`);
-      if (typeof callback === 'function') callback({ ok: true, id: socket.id });
+      if (typeof callback === 'function') callback({
+          ok: true,
+          id: userId,
+          username,
+          mode: await presence.modeOf(userId),
+          admin: isAdmin({ id: userId, username }),
+          protocol: socket.data.protocol,
+        });
     } catch (err) {
       console.error('user_join error', err);
-      if (typeof callback === 'function') callback({ ok: false, error: 'Server error' });
+      if (typeof callback === 'function') callback({ ok: false, code: 'server_error', error: 'Server error' });
     }
   });
 
-  // Join a room explicitly
-  socket.on('join_room', (room, callback) => {
+  // Handle chat messages (global or room if provided)
+  // messageData: { text, room?, replyTo?, attachmentId?, clientId? } - replyTo must be a
+  // message in the same room; text may be empty when an attachment is sent
+  // ack callback: (ack) => {}
+  socket.on('send_message', async (messageData, ack) => {
     try {
-      if (!room || typeof room !== 'string') {
-        if (typeof callback === 'function') callback({ ok: false, error: 'Invalid room' });
+      const resent = await findResent(socket, messageData.clientId);
+      if (resent) {
+        if (typeof ack === 'function') ack(duplicateAck(resent));
         return;
       }
-      socket.join(room);
-      socket.data.room = room;
-      const username = socket.data.username || 'Anonymous';
-      socket.to(room).emit('user_joined_room', { username, id: socket.id, room });
-      if (typeof callback === 'function') callback({ ok: true });
-    } catch (err) {
-      console.error('join_room error', err);
-      if (typeof callback === 'function') callback({ ok: false, error: 'Server error' });
-    }
-  });
-
-  // Leave a room
-  socket.on('leave_room', (room, callback) => {
-    try {
-      if (!room || typeof room !== 'string') {
-        if (typeof callback === 'function') callback({ ok: false, error: 'Invalid room' });
+      const text = messageData.text || '';
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Message too long' });
+        return;
+      }
+      const { attachment, ...attachmentFailure } = await readAttachment(socket, messageData.attachmentId);
+      if (attachmentFailure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...attachmentFailure });
+        return;
+      }
+      if (!text && !attachment) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Empty message' });
+        return;
+      }
+      const spam = checkDuplicate(io, socket, socketLimiter, 'send_message', text);
+      if (spam) {
+        if (typeof ack === 'function') ack({ ok: false, ...spam });
         return;
       }
-      socket.leave(room);
-      delete socket.data.room;
-      const username = socket.data.username || 'Anonymous';
-      socket.to(room).emit('user_left_room', { username, id: socket.id, room });
-      if (typeof callback === 'function') callback({ ok: true });
-    } catch (err) {
-      console.error('leave_room error', err);
-      if (typeof callback === 'function') callback({ ok: false, error: 'Server error' });
-    }
-  });
 
-  // Handle chat messages (global or room if provided)
-  // messageData: { text, room? }
-  // ack callback: (ack) => {}
-  socket.on('send_message', (messageData = {}, ack) => {
-    try {
-      const text = String(messageData.text || '').trim();
-      if (!text) {
-        if (typeof ack === 'function') ack({ ok: false, error: 'Empty message' });
+      const { room, ...failure } = resolveTargetRoom(socket, messageData.room);
+      if (failure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...failure });
         return;
       }
-      if (text.length > MAX_MESSAGE_LENGTH) {
-        if (typeof ack === 'function') ack({ ok: false, error: 'Message too long' });
+
+      // a reply joins the thread of the message it answers (threads are one level deep)
+      let parent = null;
+      if (messageData.replyTo !== undefined && messageData.replyTo !== null) {
+        parent = await messageStore.get(messageData.replyTo);
+        if (!parent || parent.isPrivate || parent.deleted || (parent.room || null) !== room) {
+          if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Reply target not found in this room' });
+          return;
+        }
+      }
+
+      // bans, mutes and slow mode (last, as it counts this message as posted)
+      const blocked = await checkSend(socket, { moderationStore }, room ? await roomStore.get(room) : null);
+      if (blocked) {
+        if (typeof ack === 'function') ack({ ok: false, ...blocked });
         return;
       }
 
-      const sender = socket.data.username || 'Anonymous';
-      const id = Date.now() + Math.floor(Math.random() * 1000);
+      const sender = socket.data.username;
       const timestamp = new Date().toISOString();
-      const room = messageData.room || socket.data.room || null;
 
-      const message = {
-        id,
+      const draft = {
         text,
         sender,
-        senderId: socket.id,
+        senderId: socket.data.userId,
+        content: parseMessage(text),
         timestamp,
         room,
         isPrivate: false,
       };
-
-      // store message
-      messages.push(message);
-      if (messages.length > MAX_STORED_MESSAGES) messages.shift();
+      if (parent) {
+        draft.replyTo = parent.id;
+        draft.threadId = parent.threadId !== undefined ? parent.threadId : parent.id;
+        draft.quote = quoteOf(parent);
+      }
+      if (attachment) draft.attachment = describeAttachment(attachment);
+      if (messageData.clientId) draft.clientId = messageData.clientId;
+      draft.mentions = await resolveMentions({ userStore, roomStore }, draft);
+
+      // store message, which gives it its id and seq (unless a retry of it got there first)
+      // and binds its upload
+      const message = await appendMessage(draft, attachment);
+      if (!message) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Attachment not found' });
+        return;
+      }
+      if (message.duplicate) {
+        if (typeof ack === 'function') ack(duplicateAck(message));
+        return;
+      }
+      // only a message that was posted counts towards the duplicate check
+      recordMessage(socket, socketLimiter, text);
+      const { id } = message;
+      const receipts = await recordBroadcastDelivery(message);
 
       // emit to room or globally
       if (room) {
-        io.to(room).emit('receive_message', message);
+        io.to(room).emit('receive_message', { ...message, receipts });
       } else {
-        io.emit('receive_message', message);
+        io.emit('receive_message', { ...message, receipts });
+      }
+      notifyMentions(io, message, message.mentions);
+
+      // bump the thread root's reply count so clients can update its badge
+      if (parent) {
+        const root = await messageStore.get(message.threadId);
+        if (root) {
+          const updatedRoot = await messageStore.update(root.id, {
+            replyCount: (root.replyCount || 0) + 1,
+            lastReplyAt: timestamp,
+          });
+          audienceOf(io, updatedRoot).emit('message_updated', updatedRoot);
+        }
       }
 
       // acknowledge delivery
       if (typeof ack === 'function') ack({ ok: true, messageId: id, timestamp });
     } catch (err) {
       console.error('send_message error', err);
-      if (typeof ack === 'function') ack({ ok: false, error: 'Server error' });
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
     }
   });
 
-  // Private messages: { to: targetSocketId, text }
-  socket.on('private_message', (payload = {}, ack) => {
+  // Private messages: { to: targetUserId, text, attachmentId?, clientId? }
+  // Delivered to every session of the recipient and of the sender. If the recipient
+  // is offline the message is stored as 'queued' and delivered when they next join;
+  // the sender gets a message_status event once the recipient acknowledges it.
+  socket.on('private_message', async (payload, ack) => {
     try {
-      const to = String(payload.to || '').trim();
-      const text = String(payload.text || '').trim();
-      if (!to || !text) {
-        if (typeof ack === 'function') ack({ ok: false, error: 'Invalid payload' });
+      const resent = await findResent(socket, payload.clientId);
+      if (resent) {
+        if (typeof ack === 'function') ack(duplicateAck(resent));
+        return;
+      }
+      const { to } = payload;
+      const text = payload.text || '';
+      const { attachment, ...attachmentFailure } = await readAttachment(socket, payload.attachmentId);
+      if (attachmentFailure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...attachmentFailure });
         return;
       }
-      if (!users.has(to)) {
-        if (typeof ack === 'function') ack({ ok: false, error: 'Recipient not connected' });
+      if (!text && !attachment) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Empty message' });
         return;
       }
-      const sender = socket.data.username || 'Anonymous';
-      const id = Date.now() + Math.floor(Math.random() * 1000);
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Message too long' });
+        return;
+      }
+      if (!(await userStore.findById(to))) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Unknown recipient' });
+        return;
+      }
+      const spam = checkDuplicate(io, socket, socketLimiter, 'private_message', text);
+      if (spam) {
+        if (typeof ack === 'function') ack({ ok: false, ...spam });
+        return;
+      }
+      const blocked = await checkSend(socket, { moderationStore }, null);
+      if (blocked) {
+        if (typeof ack === 'function') ack({ ok: false, ...blocked });
+        return;
+      }
+      const sender = socket.data.username;
       const timestamp = new Date().toISOString();
-      const message = {
-        id,
+      const draft = {
         text,
         sender,
-        senderId: socket.id,
+        senderId: socket.data.userId,
         recipientId: to,
+        content: parseMessage(text),
         timestamp,
         isPrivate: true,
+        status: (await presence.isOnline(to)) ? 'sent' : 'queued',
       };
+      if (attachment) draft.attachment = describeAttachment(attachment);
+      if (payload.clientId) draft.clientId = payload.clientId;
+
+      const message = await appendMessage(draft, attachment);
+      if (!message) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Attachment not found' });
+        return;
+      }
+      if (message.duplicate) {
+        if (typeof ack === 'function') ack(duplicateAck(message));
+        return;
+      }
+      // only a message that was posted counts towards the duplicate check
+      recordMessage(socket, socketLimiter, text);
+      const { id } = message;
+
+      // a first message makes the two contacts, who see each other's presence from then on
+      await linkContacts(io, { userStore, presence }, socket.data.userId, to);
 
       // send to recipient and to sender (so both have the message)
-      io.to(to).emit('private_message', message);
-      socket.emit('private_message', message);
+      io.to(userRoom(socket.data.userId)).except(userRoom(to)).emit('private_message', message);
+      if (message.status === 'sent') deliverPrivateMessage(message);
 
-      if (typeof ack === 'function') ack({ ok: true, messageId: id, timestamp });
+      if (typeof ack === 'function') ack({ ok: true, messageId: id, timestamp, status: message.status });
     } catch (err) {
       console.error('private_message error', err);
-      if (typeof ack === 'function') ack({ ok: false, error: 'Server error' });
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
     }
   });
 
-  // Typing indicator: { isTyping, room? }
-  socket.on('typing', (payload = {}) => {
+  // Typing indicator: { isTyping, room? } (room omitted/null = global chat);
+  // repeats only refresh the entry's expiry (see utils/typing.js)
+  socket.on('typing', async (payload) => {
     try {
-      const isTyping = !!payload.isTyping;
-      const room = payload.room || socket.data.room || null;
-      const username = socket.data.username || 'Anonymous';
+      const { room, error } = resolveTargetRoom(socket, payload.room);
+      if (error) return;
+      await typing.set(room, sessionOf(socket), payload.isTyping);
+    } catch (err) {
+      console.error('typing error', err);
+    }
+  });
 
-      if (isTyping) {
-        typingUsers.set(socket.id, username);
-      } else {
-        typingUsers.delete(socket.id);
+  // Mark a conversation read up to a message: { messageId, room? }
+  // Room messages must belong to `room` (which this socket has joined); private
+  // messages need no room but must involve the reader.
+  // ack: { ok: true, readUpTo } with the reader's watermark for that conversation
+  socket.on('read_message', async (payload, ack) => {
+    try {
+      const { userId, username } = socket.data;
+      const message = await messageStore.get(payload.messageId);
+      let visible = false;
+      if (message && message.isPrivate) {
+        visible = message.senderId === userId || message.recipientId === userId;
+      } else if (message) {
+        const { room, error } = resolveTargetRoom(socket, payload.room);
+        visible = !error && (message.room || null) === room;
+      }
+      if (!visible) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Message not found' });
+        return;
       }
 
-      if (room) {
-        // send typing users in that room only
-        const roomSockets = Array.from(io.sockets.adapter.rooms.get(room) || []);
-        const typingInRoom = roomSockets
-          .filter((id) => typingUsers.has(id))
-          .map((id) => typingUsers.get(id));
-        io.to(room).emit('typing_users', typingInRoom);
-      } else {
-        broadcastTypingUsers();
+      await recordReceipt({ id: userId, username }, 'read', message);
+      const own = await receiptStore.get(conversationOf(message), userId);
+      if (typeof ack === 'function') ack({ ok: true, readUpTo: own.read });
+    } catch (err) {
+      console.error('read_message error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  // Page through stored history: { room?, before?, limit? }
+  // ack: { ok: true, messages, hasMore, readUpTo } (messages oldest first, with receipts)
+  socket.on('fetch_history', async (payload, ack) => {
+    try {
+      const room = payload.room || null;
+      const roomRecord = room && (await roomStore.get(room));
+      if (room && (!roomRecord || !canRead(roomRecord, socket.data.userId))) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'forbidden', error: 'Not a member of this room' });
+        return;
       }
+      const page = await messageStore.list({ room, before: payload.before, limit: payload.limit });
+      const { userId, username } = socket.data;
+      const history = await presentHistory({ id: userId, username }, room, page);
+      if (typeof ack === 'function') ack({ ok: true, ...history });
     } catch (err) {
-      console.error('typing error', err);
+      console.error('fetch_history error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
     }
   });
 
-  // Read receipt for a message: { messageId, room? }
-  socket.on('read_message', (payload = {}) => {
+  // Catch up after a reconnect: { conversations: [{ room?, with?, after }] }, `after`
+  // being the newest seq the client holds for a room (null = global chat) or, with
+  // `with`, for the DMs with that user. Rooms the user cannot read are left out.
+  // ack: { ok: true, conversations: [{ room, with, messages, hasMore, truncated, readUpTo? }] }
+  // with up to SYNC_PAGE messages each (oldest first, with receipts); `hasMore`
+  // asks for another sync from the last one, `truncated` means older missed
+  // messages are no longer stored
+  socket.on('sync', async (payload, ack) => {
     try {
-      const messageId = payload.messageId;
-      const readerId = socket.id;
-      const username = socket.data.username || 'Anonymous';
-      if (!messageId) return;
-      // broadcast read receipt for that message (could be room scoped)
-      const room = payload.room || socket.data.room || null;
-      const receipt = { messageId, readerId, username, timestamp: new Date().toISOString() };
-      if (room) {
-        io.to(room).emit('message_read', receipt);
-      } else {
-        io.emit('message_read', receipt);
+      const { userId, username } = socket.data;
+      const conversations = [];
+      for (const { room = null, with: otherId = null, after } of payload.conversations) {
+        if (otherId) {
+          const page = await messageStore.listSince(dmConversation(userId, otherId), after, { limit: SYNC_PAGE });
+          conversations.push({ room: null, with: otherId, ...page, messages: await withReceipts(receiptStore, page.messages) });
+          continue;
+        }
+        const roomRecord = room && (await roomStore.get(room));
+        if (room && (!roomRecord || !canRead(roomRecord, userId))) continue;
+        const page = await messageStore.listSince(roomConversation(room), after, { limit: SYNC_PAGE });
+        const history = await presentHistory({ id: userId, username }, room, page);
+        conversations.push({ room, with: null, ...history });
       }
+      if (typeof ack === 'function') ack({ ok: true, conversations });
     } catch (err) {
-      console.error('read_message error', err);
+      console.error('sync error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
     }
   });
 
   // Handle disconnect
-  socket.on('disconnect', (reason) => {
+  socket.on('disconnect', async (reason) => {
     try {
-      const meta = users.get(socket.id);
-      if (meta) {
-        const { username } = meta;
-        io.emit('user_left', { username, id: socket.id, reason });
-        console.log(`${username} disconnected (socket=${socket.id}) reason=${reason}`);
-      } else {
-        console.log(`Socket disconnected: ${socket.id} reason=${reason}`);
+      const { userId, username } = socket.data;
+      await typing.clearSocket(socket.id);
+      const { last, update } = await presence.disconnect(sessionOf(socket));
+      await broadcastPresence(io, { roomStore, userStore }, update);
+      // only the user's last session closing counts as leaving
+      if (last) {
+        await announcePeer(io, { roomStore, userStore }, { id: userId, username }, 'user_left', { reason });
+        (await memberRooms(roomStore, userId)).forEach((room) => announceMember(io, room.id, { id: userId, username }, false));
       }
-
-      users.delete(socket.id);
-      typingUsers.delete(socket.id);
-      broadcastUserList();
-      broadcastTypingUsers();
+      console.log(`${username} disconnected (socket=${socket.id}) reason=${reason}`);
     } catch (err) {
       console.error('disconnect handler error', err);
     }
@@ -302,12 +678,80 @@ io.on('connection', (socket) => {
 });
 
 // API routes
-app.get('/api/messages', (req, res) => {
-  res.json(messages);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth', createAuthRouter({ userStore }));
+
+// Paged public history: ?room=&before=<id>&limit= -> { messages, hasMore, readUpTo }
+// Private messages are stored too, but only public history is served here.
+// Each message carries its receipts; readUpTo is the caller's read watermark.
+app.get('/api/messages', requireAuth, async (req, res) => {
+  try {
+    const { room, before, limit } = req.query;
+    if (room) {
+      const roomRecord = await roomStore.get(String(room));
+      if (!roomRecord || !canRead(roomRecord, req.user.id)) {
+        res.status(403).json({ error: 'Not a member of this room' });
+        return;
+      }
+    }
+    const roomId = room ? String(room) : null;
+    const page = await messageStore.list({ room: roomId, before, limit });
+    res.json(await presentHistory({ id: req.user.id, username: req.user.username }, roomId, page));
+  } catch (err) {
+    console.error('GET /api/messages error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A message's thread: the root message and its replies, oldest first
+app.get('/api/messages/:id/thread', requireAuth, async (req, res) => {
+  try {
+    const { root, replies, error, status } = await readThread({ messageStore, roomStore }, req.params.id, req.user.id);
+    if (error) {
+      res.status(status).json({ error });
+      return;
+    }
+    res.json({ root, replies });
+  } catch (err) {
+    console.error('GET /api/messages/:id/thread error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
-app.get('/api/users', (req, res) => {
-  res.json(Array.from(users.values()));
+// Newest messages mentioning the caller that they can still read -> { messages }
+app.get('/api/mentions', requireAuth, async (req, res) => {
+  try {
+    const messages = [];
+    for (const message of await messageStore.listMentions(req.user.id, { limit: 50 })) {
+      const room = message.room ? await roomStore.get(message.room) : null;
+      if (canReadMessage(message, req.user.id, room)) messages.push(message);
+    }
+    res.json({ messages });
+  } catch (err) {
+    console.error('GET /api/mentions error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.use('/api/rooms', requireAuth, createRoomRouter({ roomStore }));
+app.use(
+  '/api/uploads',
+  requireAuth,
+  createUploadRouter({ attachmentStore, messageStore, roomStore, maxBytes: MAX_UPLOAD_BYTES })
+);
+app.use('/api/search', requireAuth, createSearchRouter({ messageStore, roomStore, userStore }));
+app.use('/api/admin', requireAuth, createAdminRouter({ moderationStore }));
+
+// Every account, to start private conversations from: [{ id, username }]. Presence
+// is only shared between peers (see socket/presenceHandlers.js), so it is left out.
+app.get('/api/users', requireAuth, async (req, res) => {
+  try {
+    res.json((await presence.list()).map(({ id, username }) => ({ id, username })));
+  } catch (err) {
+    console.error('GET /api/users error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
 // Root route
@@ -315,9 +759,25 @@ app.get('/', (req, res) => {
   res.send('Socket.io Chat Server is running');
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start server once persisted history, accounts, rooms, receipts and uploads are loaded
+// (presence is seeded from the accounts). A cluster worker does not listen: the
+// primary hands it connections, keeping each Socket.io session on one worker.
+state
+  .init()
+  .then(() => {
+    if (cluster.isWorker) {
+      setupWorker(io);
+      announceReady();
+      console.log(`Worker ${cluster.worker.id} ready (${state.description})`);
+      return;
+    }
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (${state.description})`);
+    });
+  })
+  .catch((err) => {
+    console.error('Failed to initialise stores', err);
+    process.exit(1);
+  });
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, messageStore, userStore, roomStore, receiptStore, attachmentStore };
\ No newline at end of file
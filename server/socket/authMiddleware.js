@@ -0,0 +1,31 @@
+/**
+ * authMiddleware.js - Socket.io handshake authentication
+ *
+ * Clients pass their session token as `auth: { token }` when connecting.
+ * Sockets without a valid token for an existing account are rejected with
+ * a connect_error whose message is "Unauthorized".
+ */
+
+const { verifyToken } = require('../utils/auth');
+
+function createSocketAuth(userStore) {
+  return async function socketAuth(socket, next) {
+    try {
+      const claims = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+      const account = claims && (await userStore.findById(claims.sub));
+      if (!account) {
+        next(new Error('Unauthorized'));
+        return;
+      }
+      // identity comes from the verified account, never from event payloads
+      socket.data.userId = account.id;
+      socket.data.username = account.username;
+      next();
+    } catch (err) {
+      console.error('socket auth error', err);
+      next(new Error('Server error'));
+    }
+  };
+}
+
+module.exports = { createSocketAuth };
@@ -0,0 +1,195 @@
+/**
+ * messageHandlers.js - Changes to already-sent messages
+ *
+ * Client -> server (ack with { ok: true, message } or { ok: false, code, error }):
+ * - edit_message    { messageId, text }  author or room moderator, not while banned
+ *                                        or muted where the message is
+ * - delete_message  { messageId }        author or room moderator
+ * - fetch_thread    { messageId }        -> { root, replies }
+ * - add_reaction    { messageId, emoji } anyone who can read the message and is
+ * - remove_reaction { messageId, emoji } not banned or muted where it is
+ * - format_preview  { text }             -> { content } (see utils/markdown.js)
+ *
+ * Server -> client (sent to the message's room, DM pair, or everyone):
+ * - message_updated  message (with editedAt and re-parsed content)
+ * - mention          { message } to users newly mentioned by an edit
+ * - message_deleted  { messageId, room, deletedAt, deletedBy }
+ * - reaction_updated { messageId, room, reactions }
+ *
+ * Deleted messages stay in the store as tombstones (`deleted: true`, empty
+ * text, no attachment) so history keeps its shape. Replies quoting an edited
+ * or deleted message get its new preview (see refreshQuotes) in message_updated.
+ * Reactions are stored on the message as { [emoji]: [{ id, username }] }.
+ */
+
+const { audienceOf, canModifyMessage, canReadMessage, refreshQuotes, readThread } = require('../utils/messages');
+const { parseMessage } = require('../utils/markdown');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { checkSanctions } = require('../utils/moderation');
+
+const MAX_REACTIONS_PER_MESSAGE = 20; // distinct emoji
+
+// Resolve a message the socket's user may modify and its room record (null
+// outside rooms) as { message, room }, or { code, error } for the ack
+async function findModifiable(socket, { messageStore, roomStore }, messageId) {
+  const message = await messageStore.get(messageId);
+  if (!message) return { code: 'not_found', error: 'Message not found' };
+  const room = message.room ? await roomStore.get(message.room) : null;
+  if (!canModifyMessage(message, socket.data.userId, room)) {
+    return { code: 'forbidden', error: 'Only the author or a moderator can change this message' };
+  }
+  if (message.deleted) return { code: 'conflict', error: 'Message was deleted' };
+  return { message, room };
+}
+
+// Add or remove the socket user's reaction; resolves { message } or { code, error }
+async function toggleReaction(socket, { messageStore, roomStore, moderationStore }, { messageId, emoji }, adding) {
+  const message = await messageStore.get(messageId);
+  const room = message && message.room ? await roomStore.get(message.room) : null;
+  if (!message || !canReadMessage(message, socket.data.userId, room)) return { code: 'not_found', error: 'Message not found' };
+  if (message.deleted) return { code: 'conflict', error: 'Message was deleted' };
+  const sanctioned = await checkSanctions(socket, { moderationStore }, room);
+  if (sanctioned) return sanctioned;
+
+  const { userId, username } = socket.data;
+  const reactions = { ...(message.reactions || {}) };
+  const reactors = reactions[emoji] || [];
+  const hasReacted = reactors.some((r) => r.id === userId);
+
+  if (adding) {
+    if (hasReacted) return { message };
+    if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+      return { code: 'conflict', error: 'Too many different reactions on this message' };
+    }
+    reactions[emoji] = [...reactors, { id: userId, username }];
+  } else {
+    if (!hasReacted) return { message };
+    const remaining = reactors.filter((r) => r.id !== userId);
+    if (remaining.length) reactions[emoji] = remaining;
+    else delete reactions[emoji];
+  }
+  return { message: await messageStore.update(message.id, { reactions }), changed: true };
+}
+
+function registerMessageHandlers(io, socket, { messageStore, roomStore, userStore, moderationStore, maxMessageLength }) {
+  socket.on('edit_message', async (payload, ack) => {
+    try {
+      const { text } = payload;
+      if (text.length > maxMessageLength) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Message too long' });
+        return;
+      }
+      const { message, room, ...failure } = await findModifiable(socket, { messageStore, roomStore }, payload.messageId);
+      if (failure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...failure });
+        return;
+      }
+      // a banned or muted user cannot change what the room shows by editing either
+      const sanctioned = await checkSanctions(socket, { moderationStore }, room);
+      if (sanctioned) {
+        if (typeof ack === 'function') ack({ ok: false, ...sanctioned });
+        return;
+      }
+
+      const changes = { text, content: parseMessage(text), editedAt: new Date().toISOString() };
+      let added = [];
+      if (!message.isPrivate) {
+        const before = new Set((message.mentions || []).map((u) => u.id));
+        changes.mentions = await resolveMentions({ userStore, roomStore }, { ...message, ...changes });
+        added = changes.mentions.filter((u) => !before.has(u.id));
+      }
+
+      const updated = await messageStore.update(message.id, changes);
+      audienceOf(io, updated).emit('message_updated', updated);
+      notifyMentions(io, updated, added);
+      await refreshQuotes(io, messageStore, updated);
+      if (typeof ack === 'function') ack({ ok: true, message: updated });
+    } catch (err) {
+      console.error('edit_message error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('delete_message', async (payload, ack) => {
+    try {
+      const { message, ...failure } = await findModifiable(socket, { messageStore, roomStore }, payload.messageId);
+      if (failure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...failure });
+        return;
+      }
+
+      const updated = await messageStore.update(message.id, {
+        text: '',
+        content: [],
+        attachment: null,
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+        deletedBy: socket.data.userId,
+      });
+      audienceOf(io, updated).emit('message_deleted', {
+        messageId: updated.id,
+        room: updated.room || null,
+        deletedAt: updated.deletedAt,
+        deletedBy: updated.deletedBy,
+      });
+      await refreshQuotes(io, messageStore, updated);
+      if (typeof ack === 'function') ack({ ok: true, message: updated });
+    } catch (err) {
+      console.error('delete_message error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  [
+    ['add_reaction', true],
+    ['remove_reaction', false],
+  ].forEach(([event, adding]) => {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const { message, changed, ...failure } = await toggleReaction(socket, { messageStore, roomStore, moderationStore }, payload, adding);
+        if (failure.error) {
+          if (typeof ack === 'function') ack({ ok: false, ...failure });
+          return;
+        }
+        if (changed) {
+          audienceOf(io, message).emit('reaction_updated', {
+            messageId: message.id,
+            room: message.room || null,
+            reactions: message.reactions,
+          });
+        }
+        if (typeof ack === 'function') ack({ ok: true, reactions: message.reactions || {} });
+      } catch (err) {
+        console.error(`${event} error`, err);
+        if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+      }
+    });
+  });
+
+  // Parse a draft the way send_message would, for the composer's preview
+  socket.on('format_preview', (payload, ack) => {
+    try {
+      const { text } = payload;
+      if (text.length > maxMessageLength) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'invalid_payload', error: 'Message too long' });
+        return;
+      }
+      if (typeof ack === 'function') ack({ ok: true, content: parseMessage(text) });
+    } catch (err) {
+      console.error('format_preview error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('fetch_thread', async (payload, ack) => {
+    try {
+      const { root, replies, code, error } = await readThread({ messageStore, roomStore }, payload.messageId, socket.data.userId);
+      if (typeof ack === 'function') ack(error ? { ok: false, code, error } : { ok: true, root, replies });
+    } catch (err) {
+      console.error('fetch_thread error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+}
+
+module.exports = { registerMessageHandlers };
@@ -0,0 +1,210 @@
+/**
+ * moderationHandlers.js - Roles, kicks, bans, mutes and slow mode
+ *
+ * Client -> server (all ack with { ok, ... } or { ok: false, code, error };
+ * payloads are checked against shared/protocol.mjs first). Leaving out
+ * `roomId` acts server-wide, which only admins may do (see utils/moderation.js):
+ * - set_role      { roomId, userId, role }   role 'moderator' | 'member' (owner only) -> { room }
+ * - kick_user     { roomId?, userId, reason? }  removes them from the room, or
+ *                 disconnects them from the server; they may come back
+ * - ban_user      { roomId?, userId, duration?, reason?, ip? } like a kick, but
+ *                 they cannot rejoin (or reconnect) until it ends; `duration` in
+ *                 seconds, permanent when omitted; `ip: true` also bans the
+ *                 addresses they are connected from -> { sanction }
+ * - unban_user    { roomId?, userId }
+ * - mute_user     { roomId?, userId, duration, reason? } they cannot post, edit
+ *                 or react there (server-wide: anywhere, private messages
+ *                 included) -> { sanction }
+ * - unmute_user   { roomId?, userId }
+ * - set_slow_mode { roomId, seconds }  minimum gap between one member's posts,
+ *                 0 turns it off; moderators are exempt -> { room }
+ * - list_sanctions { roomId? }          -> { sanctions } active bans and mutes
+ *
+ * Server -> client:
+ * - moderation { action, room, reason, expiresAt, role?, by } sent to the
+ *   sessions of the user who was acted on
+ *
+ * Every action is written to the audit log (GET /api/admin/audit).
+ */
+
+const { canView, isMember, userRoom } = require('../utils/rooms');
+const { isAdmin, canModerate, outranks, expiryOf, actorOf, findSanction } = require('../utils/moderation');
+const { emitRoomUpdated, emitMembership, announceMember } = require('./roomHandlers');
+
+// Resolve the scope of a moderation event: { room } (null = server-wide) if
+// the socket's user may moderate it, else { code, error }
+async function resolveScope(socket, { roomStore }, roomId) {
+  const actor = actorOf(socket);
+  if (roomId === undefined || roomId === null) {
+    return isAdmin(actor) ? { room: null } : { code: 'forbidden', error: 'Only admins can moderate outside a room' };
+  }
+  const room = await roomStore.get(roomId);
+  if (!room || !canView(room, actor.id)) return { code: 'not_found', error: 'Room not found' };
+  if (!canModerate(room, actor)) return { code: 'forbidden', error: 'Only room moderators can do that' };
+  return { room };
+}
+
+// Resolve the scope and the user acted on: { room, target } or { code, error }
+async function resolveTarget(socket, { roomStore, userStore }, payload) {
+  const scope = await resolveScope(socket, { roomStore }, payload.roomId);
+  if (scope.error) return scope;
+  const { room } = scope;
+  const account = await userStore.findById(payload.userId);
+  if (!account) return { code: 'not_found', error: 'Unknown user' };
+  const target = { id: account.id, username: account.username };
+  if (room && room.ownerId === target.id) return { code: 'forbidden', error: 'The room owner cannot be moderated' };
+  if (!outranks(room, actorOf(socket), target)) return { code: 'forbidden', error: 'You cannot moderate this user' };
+  return { room, target };
+}
+
+// Tell the user acted on what happened
+function notifyTarget(io, target, { action, room, reason = '', expiresAt = null, role }, by) {
+  const payload = { action, room: room ? room.id : null, reason, expiresAt, by: by.username };
+  if (role) payload.role = role;
+  io.to(userRoom(target.id)).emit('moderation', payload);
+}
+
+// Take a user out of a room: membership and every session's subscription
+async function removeFromRoom(io, roomStore, room, target) {
+  io.in(userRoom(target.id)).socketsLeave(room.id);
+  if (!isMember(room, target.id)) return;
+  emitMembership(io, await roomStore.removeMember(room.id, target.id), target, false);
+  announceMember(io, room.id, target, false);
+}
+
+function registerModerationHandlers(io, socket, { roomStore, userStore, moderationStore }) {
+  const stores = { roomStore, userStore };
+
+  // Run an event handler that resolves an ack payload; { code, error } results fail
+  function handle(event, run) {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const result = await run(payload);
+        if (typeof ack === 'function') ack(result.error ? { ok: false, ...result } : { ok: true, ...result });
+      } catch (err) {
+        console.error(`${event} error`, err);
+        if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+      }
+    });
+  }
+
+  function record(action, room, target, extra = {}) {
+    return moderationStore.record({ action, room: room ? room.id : null, by: actorOf(socket), target, ...extra });
+  }
+
+  handle('set_role', async (payload) => {
+    const { room, target, ...failure } = await resolveTarget(socket, stores, payload);
+    if (failure.error) return failure;
+    if (!room || room.ownerId !== socket.data.userId) return { code: 'forbidden', error: 'Only the room owner can change roles' };
+    if (!isMember(room, target.id)) return { code: 'conflict', error: 'Only members can be given a role' };
+
+    const updated = await roomStore.setModerator(room.id, target.id, payload.role === 'moderator');
+    emitRoomUpdated(io, updated);
+    notifyTarget(io, target, { action: 'role', room, role: payload.role }, actorOf(socket));
+    await record('role', room, target, { details: { role: payload.role } });
+    return { room: updated };
+  });
+
+  handle('kick_user', async (payload) => {
+    const { room, target, ...failure } = await resolveTarget(socket, stores, payload);
+    if (failure.error) return failure;
+    const reason = payload.reason || '';
+
+    notifyTarget(io, target, { action: 'kick', room, reason }, actorOf(socket));
+    if (room) await removeFromRoom(io, roomStore, room, target);
+    else io.in(userRoom(target.id)).disconnectSockets();
+    await record('kick', room, target, { reason });
+    return {};
+  });
+
+  handle('ban_user', async (payload) => {
+    const { room, target, ...failure } = await resolveTarget(socket, stores, payload);
+    if (failure.error) return failure;
+    const seconds = payload.duration || null; // permanent without one
+    const reason = payload.reason || '';
+
+    // the addresses the user is connected from right now
+    const ips = payload.ip
+      ? Array.from(new Set((await io.in(userRoom(target.id)).fetchSockets()).map((s) => s.handshake.address)))
+      : [];
+    const sanction = await moderationStore.addSanction({
+      type: 'ban',
+      room: room ? room.id : null,
+      user: target,
+      ips,
+      reason,
+      by: actorOf(socket),
+      expiresAt: expiryOf(seconds),
+    });
+    notifyTarget(io, target, { action: 'ban', room, reason, expiresAt: sanction.expiresAt }, actorOf(socket));
+    if (room) await removeFromRoom(io, roomStore, room, target);
+    else io.in(userRoom(target.id)).disconnectSockets();
+    await record('ban', room, target, { reason, details: { duration: seconds, ips } });
+    return { sanction };
+  });
+
+  handle('mute_user', async (payload) => {
+    const { room, target, ...failure } = await resolveTarget(socket, stores, payload);
+    if (failure.error) return failure;
+    const seconds = payload.duration;
+    const reason = payload.reason || '';
+
+    const sanction = await moderationStore.addSanction({
+      type: 'mute',
+      room: room ? room.id : null,
+      user: target,
+      reason,
+      by: actorOf(socket),
+      expiresAt: expiryOf(seconds),
+    });
+    notifyTarget(io, target, { action: 'mute', room, reason, expiresAt: sanction.expiresAt }, actorOf(socket));
+    await record('mute', room, target, { reason, details: { duration: seconds } });
+    return { sanction };
+  });
+
+  [
+    ['unban_user', 'ban', 'unban', 'User is not banned'],
+    ['unmute_user', 'mute', 'unmute', 'User is not muted'],
+  ].forEach(([event, type, action, notSanctioned]) => {
+    handle(event, async (payload) => {
+      const { room, target, ...failure } = await resolveTarget(socket, stores, payload);
+      if (failure.error) return failure;
+      const lifted = await moderationStore.liftSanctions(type, room ? room.id : null, target.id);
+      if (lifted.length === 0) return { code: 'conflict', error: notSanctioned };
+      notifyTarget(io, target, { action, room }, actorOf(socket));
+      await record(action, room, target);
+      return {};
+    });
+  });
+
+  handle('set_slow_mode', async (payload) => {
+    const { room, ...failure } = await resolveScope(socket, stores, payload.roomId);
+    if (failure.error) return failure;
+    const { seconds } = payload;
+    const updated = await roomStore.update(room.id, { slowMode: seconds });
+    emitRoomUpdated(io, updated);
+    await record('slow_mode', room, null, { details: { seconds } });
+    return { room: updated };
+  });
+
+  handle('list_sanctions', async (payload) => {
+    const { room, ...failure } = await resolveScope(socket, stores, payload.roomId);
+    if (failure.error) return failure;
+    return { sanctions: await moderationStore.listSanctions(room ? room.id : null) };
+  });
+}
+
+// Socket.io middleware (after authentication): reject sockets of users, or
+// from addresses, banned server-wide, with a connect_error "Banned"
+function createBanGuard(moderationStore) {
+  return async function banGuard(socket, next) {
+    try {
+      next((await findSanction(moderationStore, 'ban', [null], socket)) ? new Error('Banned') : undefined);
+    } catch (err) {
+      console.error('ban check error', err);
+      next(new Error('Server error'));
+    }
+  };
+}
+
+module.exports = { registerModerationHandlers, createBanGuard };
@@ -0,0 +1,96 @@
+/**
+ * presenceHandlers.js - Presence socket events (see utils/presence.js)
+ *
+ * Client -> server (payloads are checked against shared/protocol.mjs first):
+ * - set_idle   { idle }            this session's activity, from client-side idle detection
+ * - set_status { mode?, status? }  mode 'auto' | 'away' | 'dnd'; status is a custom
+ *                                  message ('' clears it); acks { ok, presence, mode }
+ *
+ * Server -> client:
+ * - user_list       Array<presence entry> of the user and their peers (sent on user_join)
+ * - presence_update { users: Array<presence entry> } peers whose entry changed
+ * - user_joined / user_left { username, id, reason? } a peer's first session
+ *                   opened / last session closed
+ *
+ * A user's peers are the members of the rooms they belong to and their
+ * contacts: the users they have exchanged private messages with (kept on the
+ * account). Presence only travels between peers, so it costs a user's rooms
+ * and contacts rather than every connected socket.
+ */
+
+const { sessionOf } = require('../utils/presence');
+const { userRoom } = require('../utils/rooms');
+const { memberRooms } = require('./roomHandlers');
+
+// Ids of the user, their room co-members and their contacts
+async function peersOf({ roomStore, userStore }, userId) {
+  const ids = new Set([userId]);
+  (await memberRooms(roomStore, userId)).forEach((room) => room.members.forEach((m) => ids.add(m.id)));
+  const account = await userStore.findById(userId);
+  ((account && account.contacts) || []).forEach((id) => ids.add(id));
+  return Array.from(ids);
+}
+
+// Broadcast operator reaching every session that shares a room or a DM with
+// `userId`, and the user's own sessions. `io` may be a worker's `io.local`.
+async function peerAudience(io, { roomStore, userStore }, userId) {
+  const rooms = (await memberRooms(roomStore, userId)).map((room) => room.id);
+  const account = await userStore.findById(userId);
+  const contacts = ((account && account.contacts) || []).map(userRoom);
+  return io.to([userRoom(userId), ...rooms, ...contacts]);
+}
+
+// Send a changed entry (null is skipped) to the user's peers
+async function broadcastPresence(io, stores, update) {
+  if (update) (await peerAudience(io, stores, update.id)).emit('presence_update', { users: [update] });
+}
+
+// Send the user's peers `event` ('user_joined' | 'user_left') with { username, id, ...extra }
+async function announcePeer(io, stores, { id, username }, event, extra = {}) {
+  (await peerAudience(io, stores, id)).emit(event, { username, id, ...extra });
+}
+
+// Make two users contacts after a private message between them, so each gets
+// the other's presence from now on; the first time, each is sent the other's entry
+async function linkContacts(io, { userStore, presence }, userId, otherId) {
+  if (userId === otherId) return;
+  const [account, other] = await Promise.all([userStore.findById(userId), userStore.findById(otherId)]);
+  if (!account || !other || (account.contacts || []).includes(otherId)) return;
+  await userStore.update(userId, { contacts: [...(account.contacts || []), otherId] });
+  await userStore.update(otherId, { contacts: [...(other.contacts || []).filter((id) => id !== userId), userId] });
+  const [mine, theirs] = await Promise.all([presence.get(userId), presence.get(otherId)]);
+  if (theirs) io.to(userRoom(userId)).emit('presence_update', { users: [theirs] });
+  if (mine) io.to(userRoom(otherId)).emit('presence_update', { users: [mine] });
+}
+
+function registerPresenceHandlers(io, socket, { presence, roomStore, userStore }) {
+  const stores = { roomStore, userStore };
+
+  socket.on('set_idle', async (payload) => {
+    try {
+      await broadcastPresence(io, stores, await presence.setIdle(sessionOf(socket), payload.idle));
+    } catch (err) {
+      console.error('set_idle error', err);
+    }
+  });
+
+  socket.on('set_status', async (payload, ack) => {
+    try {
+      const { update, mode, ...failure } = await presence.setStatus(socket.data.userId, {
+        mode: payload.mode || undefined,
+        status: payload.status === null ? undefined : payload.status,
+      });
+      if (failure.error) {
+        if (typeof ack === 'function') ack({ ok: false, ...failure });
+        return;
+      }
+      await broadcastPresence(io, stores, update);
+      if (typeof ack === 'function') ack({ ok: true, presence: await presence.get(socket.data.userId), mode });
+    } catch (err) {
+      console.error('set_status error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+}
+
+module.exports = { registerPresenceHandlers, peersOf, broadcastPresence, announcePeer, linkContacts };
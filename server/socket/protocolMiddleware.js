@@ -0,0 +1,49 @@
+/**
+ * protocolMiddleware.js - Protocol version negotiation and payload validation
+ * (the protocol itself is described in shared/protocol.mjs)
+ *
+ * Clients send the protocol version they speak as `auth: { protocol }` next to
+ * their token. The connection uses the lower of theirs and the server's
+ * (`socket.data.protocol`, reported in the user_join ack); clients older than
+ * MIN_PROTOCOL_VERSION, or sending none, are rejected with a connect_error
+ * "Upgrade required" whose `data` is { code: 'upgrade_required', protocol,
+ * minProtocol }.
+ *
+ * Every incoming event is checked against its schema before a handler runs.
+ * Unknown events and invalid payloads are dropped, acking
+ * { ok: false, code: 'unknown_event' | 'invalid_payload', error } when the
+ * client asked for an ack. Handlers receive the normalised payload and the ack
+ * as (payload, ack).
+ */
+
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, checkClientEvent } = require('../../shared/protocol.mjs');
+
+function checkProtocol(socket, next) {
+  const requested = Number(socket.handshake.auth && socket.handshake.auth.protocol);
+  if (!Number.isInteger(requested) || requested < MIN_PROTOCOL_VERSION) {
+    const err = new Error('Upgrade required');
+    err.data = { code: 'upgrade_required', protocol: PROTOCOL_VERSION, minProtocol: MIN_PROTOCOL_VERSION };
+    next(err);
+    return;
+  }
+  socket.data.protocol = Math.min(requested, PROTOCOL_VERSION);
+  next();
+}
+
+// Validate every event this socket sends
+function applyValidation(socket) {
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const { value, code, error } = checkClientEvent(event, args[0]);
+    if (error) {
+      if (ack) ack({ ok: false, code, error });
+      return;
+    }
+    packet.splice(1, packet.length - 1, value);
+    if (ack) packet.push(ack);
+    next();
+  });
+}
+
+module.exports = { checkProtocol, applyValidation };
@@ -0,0 +1,80 @@
+/**
+ * rateLimitMiddleware.js - Flood protection for socket events (see utils/rateLimit.js)
+ *
+ * Events over their limit are dropped before any handler runs. When the client
+ * asked for an ack it gets
+ *   { ok: false, error, code: 'rate_limited', retryAfter }   (`retryAfter` in ms)
+ * A strike that starts a throttle or a disconnect is also sent to the user's
+ * sessions as `rate_limited { event, level, retryAfter }`; on a disconnect they
+ * are dropped, and reconnecting is refused with a connect_error "Rate limited"
+ * until the block ends.
+ */
+
+const { userRoom } = require('../utils/rooms');
+
+const MESSAGES = {
+  warn: 'You are sending too fast',
+  throttle: 'You are sending too fast and have been slowed down',
+  disconnect: 'You were disconnected for flooding',
+};
+
+function refusal(result) {
+  return {
+    error: `${MESSAGES[result.level]}; try again in ${Math.ceil(result.retryAfter / 1000)}s`,
+    code: 'rate_limited',
+    retryAfter: result.retryAfter,
+  };
+}
+
+// Tell the user's sessions about a throttle or disconnect, and carry out the disconnect
+function escalate(io, socket, limiter, event, result) {
+  if (!result.escalated) return;
+  const { userId, username } = socket.data;
+  const retryAfter = result.level === 'disconnect' ? limiter.blockedFor(userId) : result.retryAfter;
+  io.to(userRoom(userId)).emit('rate_limited', { event, level: result.level, retryAfter });
+  if (result.level === 'disconnect') {
+    console.warn(`${username} disconnected for flooding`);
+    io.in(userRoom(userId)).disconnectSockets(true);
+  }
+}
+
+// Limit every event this socket sends
+function applyRateLimits(io, socket, limiter) {
+  socket.use(([event, ...args], next) => {
+    const result = limiter.take(event, socket.id, socket.data.userId);
+    if (result.ok) {
+      next();
+      return;
+    }
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') ack({ ok: false, ...refusal(result) });
+    escalate(io, socket, limiter, event, result);
+  });
+  socket.on('disconnect', () => limiter.forgetSocket(socket.id));
+}
+
+// Refuse a message the user keeps repeating: null, or an ack-ready
+// { error, code: 'rate_limited', retryAfter }. Only messages recorded with
+// recordMessage once they were posted count as repeats.
+function checkDuplicate(io, socket, limiter, event, text) {
+  const result = limiter.checkDuplicate(socket.data.userId, text);
+  if (result.ok) return null;
+  escalate(io, socket, limiter, event, result);
+  return { ...refusal(result), error: `You already sent that; try again in ${Math.ceil(result.retryAfter / 1000)}s` };
+}
+
+// Count a posted message towards the duplicate check; call it only once every
+// other check has passed, so refused messages never count
+function recordMessage(socket, limiter, text) {
+  limiter.recordMessage(socket.data.userId, text);
+}
+
+// Socket.io middleware (after authentication): refuse users disconnected for
+// flooding until their block ends
+function createFloodGuard(limiter) {
+  return function floodGuard(socket, next) {
+    next(limiter.blockedFor(socket.data.userId) > 0 ? new Error('Rate limited') : undefined);
+  };
+}
+
+module.exports = { applyRateLimits, checkDuplicate, recordMessage, createFloodGuard };
@@ -0,0 +1,270 @@
+/**
+ * roomHandlers.js - Room registry socket events
+ *
+ * Client -> server (all ack with { ok, ... } or { ok: false, code, error }):
+ * - list_rooms                                        -> { rooms }
+ * - create_room   { name, topic?, description?, visibility? } -> { room }
+ * - update_room   { roomId, name?, topic?, description?, visibility? } (owner only)
+ * - delete_room   { roomId }                          (owner only)
+ * - invite_to_room { roomId, userId }                 (owner only)
+ * - join_room     roomId                              -> { room } (not while banned from it)
+ * - leave_room    roomId                              (registry rooms only)
+ *
+ * Server -> client:
+ * - room_list     Array<room> visible to the user (sent on user_join)
+ * - room_updated  room (created or its settings changed)
+ * - room_deleted  { id } (deleted, or no longer visible to the receiver)
+ * - user_joined_room / user_left_room { room, id, username } membership changes,
+ *                 sent to everyone who can see the room instead of the whole room
+ * - room_users    { room, users: Array<presence entry> } online members, sent to a
+ *                 user's sessions on user_join and when they join or create the room
+ * - user_added    { room, user: presence entry } a member came online or joined
+ * - user_removed  { room, userId } a member went offline or left
+ *
+ * Membership belongs to the user, so joining or leaving applies to every
+ * open session of that user. Room presence only travels to the room itself;
+ * a member's own sessions are not told about their arrival.
+ */
+
+const {
+  isMember,
+  canView,
+  canJoin,
+  canManage,
+  readRoomFields,
+  userRoom,
+  listVisibleRooms,
+} = require('../utils/rooms');
+const { checkJoin } = require('../utils/moderation');
+
+// The sessions of a room's members and invitees, the only users who can see a private room
+function memberAudience(room) {
+  return [...room.members.map((m) => m.id), ...room.invited].map(userRoom);
+}
+
+// Send a room to everyone allowed to see it. When `previous` (the room before
+// an update) was visible to everyone, everyone else is told to drop it.
+function emitRoomUpdated(io, room, previous = null) {
+  if (room.visibility !== 'private') {
+    io.emit('room_updated', room);
+    return;
+  }
+  const audience = memberAudience(room);
+  io.to(audience).emit('room_updated', room);
+  if (previous && previous.visibility !== 'private') io.except(audience).emit('room_deleted', { id: room.id });
+}
+
+// Presence entries (see utils/presence.js) of a room's online members
+async function onlineMembers(room, presence) {
+  return (await presence.entriesOf(room.members.map((m) => m.id))).filter((entry) => entry.state !== 'offline');
+}
+
+// Tell a room that a member arrived (user_added, with their presence entry, so
+// members who shared nothing with them before learn their presence) or went
+// away (user_removed)
+function announceMember(io, roomId, user, present) {
+  const audience = io.to(roomId).except(userRoom(user.id));
+  if (present) audience.emit('user_added', { room: roomId, user });
+  else audience.emit('user_removed', { room: roomId, userId: user.id });
+}
+
+// Send a room's online members to all of a user's sessions
+async function sendRoomUsers(io, userId, room, presence) {
+  io.to(userRoom(userId)).emit('room_users', { room: room.id, users: await onlineMembers(room, presence) });
+}
+
+// Tell everyone who can see a room that a user joined or left it; a private
+// room's leaver can no longer see it
+function emitMembership(io, room, user, joined) {
+  const payload = { room: room.id, id: user.id, username: user.username };
+  const event = joined ? 'user_joined_room' : 'user_left_room';
+  if (room.visibility !== 'private') {
+    io.emit(event, payload);
+    return;
+  }
+  io.to(memberAudience(room)).emit(event, payload);
+  if (!joined) io.to(userRoom(user.id)).emit('room_deleted', { id: room.id });
+}
+
+// Add the socket's user to a room and subscribe all of their sessions.
+// Resolves { room } or { code, error } (with `until` for a ban).
+async function joinRoom(io, socket, { roomStore, presence, moderationStore }, roomId) {
+  const { userId, username } = socket.data;
+  let room = await roomStore.get(roomId);
+  if (!room || !canView(room, userId)) return { code: 'not_found', error: 'Room not found' };
+  if (!canJoin(room, userId)) return { code: 'forbidden', error: 'An invitation is required to join this room' };
+  const banned = await checkJoin(socket, { moderationStore }, room);
+  if (banned) return banned;
+
+  if (!isMember(room, userId)) {
+    room = await roomStore.addMember(room.id, { id: userId, username });
+    emitMembership(io, room, { id: userId, username }, true);
+    announceMember(io, room.id, (await presence.get(userId)) || { id: userId, username }, true);
+  }
+  io.in(userRoom(userId)).socketsJoin(room.id);
+  await sendRoomUsers(io, userId, room, presence);
+  return { room };
+}
+
+// Rooms a user belongs to
+async function memberRooms(roomStore, userId) {
+  return (await roomStore.list()).filter((room) => isMember(room, userId));
+}
+
+// Subscribe a freshly joined session to every room its user belongs to; resolves those rooms
+async function joinMemberRooms(socket, roomStore) {
+  const rooms = await memberRooms(roomStore, socket.data.userId);
+  if (rooms.length) socket.join(rooms.map((room) => room.id));
+  return rooms;
+}
+
+function registerRoomHandlers(io, socket, { roomStore, presence, moderationStore }) {
+  const { userId } = socket.data;
+
+  socket.on('list_rooms', async (payload, ack) => {
+    try {
+      if (typeof ack === 'function') ack({ ok: true, rooms: await listVisibleRooms(roomStore, userId) });
+    } catch (err) {
+      console.error('list_rooms error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('create_room', async (payload, ack) => {
+    try {
+      const changes = readRoomFields(payload);
+      const room = await roomStore.create({ ...changes, owner: { id: userId, username: socket.data.username } });
+      if (!room) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'conflict', error: 'A room with that name already exists' });
+        return;
+      }
+      io.in(userRoom(userId)).socketsJoin(room.id);
+      emitRoomUpdated(io, room);
+      await sendRoomUsers(io, userId, room, presence);
+      if (typeof ack === 'function') ack({ ok: true, room });
+    } catch (err) {
+      console.error('create_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('update_room', async (payload, ack) => {
+    try {
+      const room = await roomStore.get(payload.roomId);
+      if (!room || !canView(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Room not found' });
+        return;
+      }
+      if (!canManage(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'forbidden', error: 'Only the room owner can change it' });
+        return;
+      }
+      const changes = readRoomFields(payload);
+      if (changes.name) {
+        const clash = await roomStore.findByName(changes.name);
+        if (clash && clash.id !== room.id) {
+          if (typeof ack === 'function') ack({ ok: false, code: 'conflict', error: 'A room with that name already exists' });
+          return;
+        }
+      }
+      const updated = await roomStore.update(room.id, changes);
+      emitRoomUpdated(io, updated, room);
+      if (typeof ack === 'function') ack({ ok: true, room: updated });
+    } catch (err) {
+      console.error('update_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('delete_room', async (payload, ack) => {
+    try {
+      const room = await roomStore.get(payload.roomId);
+      if (!room || !canView(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Room not found' });
+        return;
+      }
+      if (!canManage(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'forbidden', error: 'Only the room owner can delete it' });
+        return;
+      }
+      await roomStore.remove(room.id);
+      io.socketsLeave(room.id);
+      // only those who could see the room had it listed
+      const viewers = room.visibility === 'private' ? io.to(memberAudience(room)) : io;
+      viewers.emit('room_deleted', { id: room.id });
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      console.error('delete_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  socket.on('invite_to_room', async (payload, ack) => {
+    try {
+      const room = await roomStore.get(payload.roomId);
+      const invitee = payload.userId;
+      if (!room || !canView(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Room not found' });
+        return;
+      }
+      if (!canManage(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'forbidden', error: 'Only the room owner can invite' });
+        return;
+      }
+      const updated = isMember(room, invitee) ? room : await roomStore.invite(room.id, invitee);
+      emitRoomUpdated(io, updated);
+      if (typeof ack === 'function') ack({ ok: true, room: updated });
+    } catch (err) {
+      console.error('invite_to_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  // Join a room by id
+  socket.on('join_room', async (roomId, ack) => {
+    try {
+      const { room, ...failure } = await joinRoom(io, socket, { roomStore, presence, moderationStore }, roomId);
+      if (typeof ack === 'function') ack(failure.error ? { ok: false, ...failure } : { ok: true, room });
+    } catch (err) {
+      console.error('join_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+
+  // Leave a room (all of the user's sessions stop receiving it). Only registry
+  // rooms can be left: the user's own user:<id> room carries their DMs and notices.
+  socket.on('leave_room', async (roomId, ack) => {
+    try {
+      const room = await roomStore.get(roomId);
+      if (!room) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'not_found', error: 'Room not found' });
+        return;
+      }
+      if (canManage(room, userId)) {
+        if (typeof ack === 'function') ack({ ok: false, code: 'conflict', error: 'The owner cannot leave; delete the room instead' });
+        return;
+      }
+      io.in(userRoom(userId)).socketsLeave(roomId);
+      if (isMember(room, userId)) {
+        const user = { id: userId, username: socket.data.username };
+        emitMembership(io, await roomStore.removeMember(roomId, userId), user, false);
+        announceMember(io, roomId, user, false);
+      }
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (err) {
+      console.error('leave_room error', err);
+      if (typeof ack === 'function') ack({ ok: false, code: 'server_error', error: 'Server error' });
+    }
+  });
+}
+
+module.exports = {
+  registerRoomHandlers,
+  emitRoomUpdated,
+  emitMembership,
+  joinRoom,
+  joinMemberRooms,
+  memberRooms,
+  onlineMembers,
+  announceMember,
+};
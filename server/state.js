@@ -0,0 +1,118 @@
+/**
+ * state.js - Shared server state: stores, presence and typing
+ *
+ * A single server process owns all of it (`createState`). In cluster mode the
+ * primary owns it instead and serves it to the workers (`serveState`), which
+ * reach it through same-shaped remote proxies (`connectState`; see
+ * utils/cluster.js). Callers therefore treat every store, presence and typing
+ * method as async and pass sessions ({ id, userId, username }; see
+ * utils/presence.js) rather than sockets.
+ *
+ * Typing changes are reported through `onTyping(room, usernames)`; in cluster
+ * mode every worker hears them and tells its own sockets.
+ */
+
+const path = require('path');
+const {
+  createMessageStore,
+  createUserStore,
+  createRoomStore,
+  createReceiptStore,
+  createAttachmentStore,
+  createModerationStore,
+} = require('./store');
+const { createPresence } = require('./utils/presence');
+const { createTypingTracker } = require('./utils/typing');
+const { createRemote, subscribe, serveRemote, publish } = require('./utils/cluster');
+
+const MAX_STORED_MESSAGES = Number(process.env.MAX_STORED_MESSAGES) || 200;
+const MESSAGE_STORE = process.env.MESSAGE_STORE || 'memory';
+const MESSAGE_STORE_FILE = process.env.MESSAGE_STORE_FILE || path.join(__dirname, 'data', 'messages.jsonl');
+const USER_STORE = process.env.USER_STORE || MESSAGE_STORE;
+const USER_STORE_FILE = process.env.USER_STORE_FILE || path.join(__dirname, 'data', 'users.jsonl');
+const ROOM_STORE = process.env.ROOM_STORE || MESSAGE_STORE;
+const ROOM_STORE_FILE = process.env.ROOM_STORE_FILE || path.join(__dirname, 'data', 'rooms.jsonl');
+const RECEIPT_STORE = process.env.RECEIPT_STORE || MESSAGE_STORE;
+const RECEIPT_STORE_FILE = process.env.RECEIPT_STORE_FILE || path.join(__dirname, 'data', 'receipts.jsonl');
+const ATTACHMENT_STORE = process.env.ATTACHMENT_STORE || MESSAGE_STORE;
+const ATTACHMENT_STORE_FILE = process.env.ATTACHMENT_STORE_FILE || path.join(__dirname, 'data', 'attachments.jsonl');
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads');
+const MODERATION_STORE = process.env.MODERATION_STORE || MESSAGE_STORE;
+const MODERATION_STORE_FILE = process.env.MODERATION_STORE_FILE || path.join(__dirname, 'data', 'moderation.jsonl');
+
+const STORES = ['messageStore', 'userStore', 'roomStore', 'receiptStore', 'attachmentStore', 'moderationStore'];
+const SERVICES = [...STORES, 'presence', 'typing'];
+
+// The state held in this process
+function createState({ onTyping }) {
+  const messageStore = createMessageStore(MESSAGE_STORE, {
+    maxMessages: MAX_STORED_MESSAGES,
+    file: MESSAGE_STORE_FILE,
+  });
+  const userStore = createUserStore(USER_STORE, { file: USER_STORE_FILE });
+  const roomStore = createRoomStore(ROOM_STORE, { file: ROOM_STORE_FILE });
+  const receiptStore = createReceiptStore(RECEIPT_STORE, { file: RECEIPT_STORE_FILE });
+  const attachmentStore = createAttachmentStore(ATTACHMENT_STORE, { file: ATTACHMENT_STORE_FILE, dir: UPLOAD_DIR });
+  const moderationStore = createModerationStore(MODERATION_STORE, { file: MODERATION_STORE_FILE });
+  const presence = createPresence({ userStore });
+  const typing = createTypingTracker({ onChange: onTyping });
+
+  const stores = { messageStore, userStore, roomStore, receiptStore, attachmentStore, moderationStore };
+
+  return {
+    ...stores,
+    presence,
+    typing,
+    description: `message store: ${messageStore.name}`,
+
+    // Load persisted history, accounts, rooms, receipts, uploads and sanctions,
+    // then seed presence from the accounts
+    async init() {
+      await Promise.all(STORES.map((name) => stores[name].init()));
+      await presence.init();
+    },
+
+    // Flush pending writes
+    async close() {
+      await Promise.all(STORES.map((name) => stores[name].close()));
+    },
+  };
+}
+
+// A cluster worker's view of the state the primary serves
+function connectState({ onTyping }) {
+  subscribe('typing_users', ({ room, users }) => onTyping(room, users));
+  // the primary loads everything before forking, so there is nothing to load or flush here
+  const lifecycle = { init: async () => {}, close: async () => {} };
+
+  const messages = createRemote('messageStore');
+
+  return {
+    messageStore: createRemote('messageStore', {
+      ...lifecycle,
+      // the filter is a function, so it runs here over every match (stores keep a bounded history)
+      async search(query, { filter = () => true, limit = 20 } = {}) {
+        const found = (await messages.search(query, { limit: Number.MAX_SAFE_INTEGER })).messages.filter(filter);
+        return { messages: found.slice(0, limit), hasMore: found.length > limit };
+      },
+    }),
+    userStore: createRemote('userStore', lifecycle),
+    roomStore: createRemote('roomStore', lifecycle),
+    receiptStore: createRemote('receiptStore', lifecycle),
+    attachmentStore: createRemote('attachmentStore', lifecycle),
+    moderationStore: createRemote('moderationStore', lifecycle),
+    presence: createRemote('presence', lifecycle),
+    typing: createRemote('typing'),
+    description: 'shared state served by the cluster primary',
+    ...lifecycle,
+  };
+}
+
+// Create the state in the cluster primary and answer the workers' calls to it
+function serveState() {
+  const state = createState({ onTyping: (room, users) => publish('typing_users', { room, users }) });
+  serveRemote(Object.fromEntries(SERVICES.map((name) => [name, state[name]])));
+  return state;
+}
+
+module.exports = { createState, connectState, serveState };
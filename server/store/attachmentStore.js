@@ -0,0 +1,93 @@
+/**
+ * attachmentStore.js - Uploaded files on local disk
+ *
+ * File contents are written to `dir` under the attachment's id; metadata
+ * ({ id, name, size, mimeType, uploaderId, createdAt, messageId }) lives in
+ * memory. When a `file` is given every change appends the record's new state
+ * to a JSONL log, replayed on init. `messageId` is set once the upload is sent
+ * in a message and decides who may download it. While a message sharing it is
+ * being stored the upload is `reserved` (in memory only), so no other send can
+ * take it in the meantime.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonlLog } = require('./jsonlLog');
+
+function createAttachmentStore({ dir, file } = {}) {
+  if (!dir) throw new Error('attachmentStore requires an upload directory');
+  const log = file ? createJsonlLog(file) : null;
+  const byId = new Map();
+
+  async function persist(record) {
+    if (log) await log.append(record);
+  }
+
+  return {
+    name: log ? 'jsonl' : 'memory',
+
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      if (!log) return;
+      (await log.load()).forEach((record) => byId.set(record.id, record));
+    },
+
+    // Write `data` (a Buffer) to disk; resolves the new attachment record
+    async create({ name, mimeType, data, uploaderId }) {
+      const attachment = {
+        id: crypto.randomUUID(),
+        name,
+        size: data.length,
+        mimeType,
+        uploaderId,
+        createdAt: new Date().toISOString(),
+        messageId: null,
+      };
+      await fs.promises.writeFile(path.join(dir, attachment.id), data);
+      byId.set(attachment.id, attachment);
+      await persist(attachment);
+      return attachment;
+    },
+
+    async get(id) {
+      return byId.get(String(id)) || null;
+    },
+
+    // Absolute path of an attachment's contents
+    async pathOf(attachment) {
+      return path.join(dir, attachment.id);
+    },
+
+    // Check and take an upload for a message in one step: resolves the record if it
+    // belongs to `uploaderId` and is neither sent nor reserved by another send, else null
+    async reserve(id, uploaderId) {
+      const attachment = byId.get(String(id));
+      if (!attachment || attachment.uploaderId !== uploaderId || attachment.messageId || attachment.reserved) return null;
+      attachment.reserved = true;
+      return attachment;
+    },
+
+    // Give back a reservation whose message was not stored
+    async release(id) {
+      const attachment = byId.get(String(id));
+      if (attachment) delete attachment.reserved;
+    },
+
+    // Bind an upload to the message that shares it; resolves the record or null
+    async attach(id, messageId) {
+      const attachment = byId.get(String(id));
+      if (!attachment) return null;
+      attachment.messageId = messageId;
+      delete attachment.reserved;
+      await persist(attachment);
+      return attachment;
+    },
+
+    async close() {
+      if (log) await log.flush();
+    },
+  };
+}
+
+module.exports = { createAttachmentStore };
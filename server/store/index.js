@@ -0,0 +1,92 @@
+/**
+ * store/index.js - Store factories
+ *
+ * Message stores: every driver exposes the same async interface:
+ * - init()                 load persisted state (called once before listening)
+ * - append(message)        number (`id`, and `seq` within its conversation) and
+ *                          persist a new message, resolves with it; if its sender
+ *                          already stored one with the same `clientId`, nothing is
+ *                          stored and that one is resolved flagged `duplicate: true`
+ * - update(id, changes)    merge changes into a message, resolves it (or null)
+ * - get(id)                resolve a single message (or null)
+ * - findByClientId(senderId, clientId) the message a sender stored with that
+ *                          client id (or null)
+ * - list(options)          resolve with a page of public history
+ *                          { room?, before?, limit? } -> { messages, hasMore }
+ * - listUndelivered(userId) private messages awaiting delivery to userId
+ * - listSince(conversation, after, { limit? }) messages of a conversation (see
+ *                          utils/receipts.js) with a seq above `after`, oldest first
+ *                          -> { messages, hasMore, truncated }
+ * - listThread(threadId)   replies in a thread, oldest first
+ * - listMentions(userId, { limit? }) messages mentioning userId, newest first
+ * - search(query, { filter?, limit? }) indexed full-text search, newest first
+ *                          -> { messages, hasMore }
+ * - close()                flush pending writes
+ *
+ * Pick a driver with MESSAGE_STORE (memory | jsonl).
+ *
+ * Account, room, receipt, attachment and moderation stores (see userStore.js,
+ * roomStore.js, receiptStore.js, attachmentStore.js, moderationStore.js) use
+ * the same driver names; their jsonl driver persists to `file`. Attachment contents are
+ * always written to the upload directory.
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createJsonlStore } = require('./jsonlStore');
+const { createUserStore: createAccountStore } = require('./userStore');
+const { createRoomStore: createRoomRegistry } = require('./roomStore');
+const { createReceiptStore: createReceiptLog } = require('./receiptStore');
+const { createAttachmentStore: createUploadStore } = require('./attachmentStore');
+const { createModerationStore: createModerationLog } = require('./moderationStore');
+
+const drivers = {
+  memory: createMemoryStore,
+  jsonl: createJsonlStore,
+};
+
+function createMessageStore(driver = 'memory', options = {}) {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown message store driver "${driver}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory(options);
+}
+
+function createUserStore(driver = 'memory', options = {}) {
+  if (driver === 'memory') return createAccountStore();
+  if (driver === 'jsonl') return createAccountStore({ file: options.file });
+  throw new Error(`Unknown user store driver "${driver}" (expected one of: memory, jsonl)`);
+}
+
+function createRoomStore(driver = 'memory', options = {}) {
+  if (driver === 'memory') return createRoomRegistry();
+  if (driver === 'jsonl') return createRoomRegistry({ file: options.file });
+  throw new Error(`Unknown room store driver "${driver}" (expected one of: memory, jsonl)`);
+}
+
+function createReceiptStore(driver = 'memory', options = {}) {
+  if (driver === 'memory') return createReceiptLog();
+  if (driver === 'jsonl') return createReceiptLog({ file: options.file });
+  throw new Error(`Unknown receipt store driver "${driver}" (expected one of: memory, jsonl)`);
+}
+
+function createAttachmentStore(driver = 'memory', options = {}) {
+  if (driver === 'memory') return createUploadStore({ dir: options.dir });
+  if (driver === 'jsonl') return createUploadStore({ dir: options.dir, file: options.file });
+  throw new Error(`Unknown attachment store driver "${driver}" (expected one of: memory, jsonl)`);
+}
+
+function createModerationStore(driver = 'memory', options = {}) {
+  if (driver === 'memory') return createModerationLog();
+  if (driver === 'jsonl') return createModerationLog({ file: options.file });
+  throw new Error(`Unknown moderation store driver "${driver}" (expected one of: memory, jsonl)`);
+}
+
+module.exports = {
+  createMessageStore,
+  createUserStore,
+  createRoomStore,
+  createReceiptStore,
+  createAttachmentStore,
+  createModerationStore,
+};
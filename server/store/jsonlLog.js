@@ -0,0 +1,54 @@
+/**
+ * jsonlLog.js - Append-only JSON-lines file shared by the file-backed stores
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonlLog(file) {
+  if (!file) throw new Error('jsonlLog requires a file path');
+
+  // appends are chained so lines land in the file in call order
+  let writeQueue = Promise.resolve();
+
+  return {
+    file,
+
+    // Read every record in the file, oldest first
+    async load() {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      let contents = '';
+      try {
+        contents = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      const records = [];
+      contents.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          records.push(JSON.parse(line));
+        } catch (err) {
+          // a torn final line (e.g. crash mid-write) should not block startup
+          console.warn(`jsonlLog: skipping malformed line ${index + 1} in ${file}`);
+        }
+      });
+      return records;
+    },
+
+    // Resolves once the line is written; a failed write rejects only its own
+    // append, and the appends queued behind it still go ahead
+    append(record) {
+      const line = JSON.stringify(record) + '\n';
+      const written = writeQueue.then(() => fs.promises.appendFile(file, line, 'utf8'));
+      writeQueue = written.catch(() => {});
+      return written;
+    },
+
+    async flush() {
+      await writeQueue;
+    },
+  };
+}
+
+module.exports = { createJsonlLog };
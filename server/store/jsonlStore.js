@@ -0,0 +1,44 @@
+/**
+ * jsonlStore.js - File-backed message store driver
+ *
+ * Appends one JSON record per line to a local file and replays the file on
+ * init, so history survives restarts without any outside services. Updates
+ * append the full new version of a message; the last line for an id wins.
+ * Reads are served from an in-memory copy of the whole log.
+ */
+
+const { createJsonlLog } = require('./jsonlLog');
+const { createMemoryStore } = require('./memoryStore');
+
+function createJsonlStore({ file } = {}) {
+  const log = createJsonlLog(file);
+  const memory = createMemoryStore({ maxMessages: Infinity });
+
+  return {
+    ...memory,
+    name: 'jsonl',
+
+    async init() {
+      (await log.load()).forEach(memory.restore);
+    },
+
+    // numbered (or found to be a duplicate) by the read model, then logged
+    async append(message) {
+      const stored = await memory.append(message);
+      if (!stored.duplicate) await log.append(stored);
+      return stored;
+    },
+
+    async update(id, changes) {
+      const updated = await memory.update(id, changes);
+      if (updated) await log.append(updated);
+      return updated;
+    },
+
+    async close() {
+      await log.flush();
+    },
+  };
+}
+
+module.exports = { createJsonlStore };
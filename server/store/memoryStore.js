@@ -0,0 +1,162 @@
+/**
+ * memoryStore.js - In-memory message store driver
+ *
+ * Keeps recent messages in an array trimmed to `maxMessages`, oldest first;
+ * private messages not yet delivered are kept beyond that until they are, so
+ * room traffic cannot push out what an offline user is waiting for. Nothing
+ * survives a restart; use it for development and tests. The file-backed
+ * driver reuses it as its read model. A search index over the kept messages
+ * is maintained alongside, and so is a lookup by client id (see append), which
+ * covers the kept messages only.
+ *
+ * The store numbers messages as they are appended: `id` counts up across all
+ * messages and `seq` within the message's conversation (a room, the global
+ * chat or a DM pair; see utils/receipts.js), so clients can ask for exactly
+ * the messages after the last one they hold (listSince).
+ */
+
+const { queryHistory } = require('./query');
+const { createSearchIndex, tokenize } = require('./searchIndex');
+const { conversationOf } = require('../utils/receipts');
+
+function createMemoryStore({ maxMessages = 200 } = {}) {
+  const messages = [];
+  const byId = new Map(); // String(id) -> message
+  const byClientId = new Map(); // `${senderId}:${clientId}` -> message
+  const lastSeq = new Map(); // conversation -> seq of its newest message
+  let lastId = 0;
+  const index = createSearchIndex();
+
+  function nextSeq(conversation) {
+    const seq = (lastSeq.get(conversation) || 0) + 1;
+    lastSeq.set(conversation, seq);
+    return seq;
+  }
+
+  function clientKey(senderId, clientId) {
+    return `${senderId}:${clientId}`;
+  }
+
+  function awaitsDelivery(message) {
+    return message.isPrivate && message.status !== 'delivered';
+  }
+
+  function remember(message) {
+    messages.push(message);
+    byId.set(String(message.id), message);
+    if (message.clientId) byClientId.set(clientKey(message.senderId, message.clientId), message);
+    index.add(message);
+    while (messages.length > maxMessages) {
+      const at = messages.findIndex((m) => !awaitsDelivery(m));
+      if (at === -1) break;
+      const [evicted] = messages.splice(at, 1);
+      byId.delete(String(evicted.id));
+      if (evicted.clientId) byClientId.delete(clientKey(evicted.senderId, evicted.clientId));
+      index.remove(evicted.id);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    // Replay a persisted record: later versions of a message replace earlier ones.
+    // Records from before messages were numbered get their seq in replay order.
+    restore(record) {
+      const existing = byId.get(String(record.id));
+      if (existing) {
+        Object.assign(existing, record);
+        index.add(existing);
+        return;
+      }
+      const conversation = conversationOf(record);
+      if (record.seq === undefined) record.seq = nextSeq(conversation);
+      else lastSeq.set(conversation, Math.max(lastSeq.get(conversation) || 0, record.seq));
+      lastId = Math.max(lastId, Number(record.id) || 0);
+      remember(record);
+    },
+
+    // Number a new message (`id`, `seq`), store it and return it. A message whose
+    // sender already stored one with the same `clientId` is not stored again; a
+    // copy of the earlier one flagged `duplicate: true` is returned instead.
+    async append(message) {
+      const sent = message.clientId && byClientId.get(clientKey(message.senderId, message.clientId));
+      if (sent) return { ...sent, duplicate: true };
+      lastId += 1;
+      message.id = lastId;
+      message.seq = nextSeq(conversationOf(message));
+      remember(message);
+      return message;
+    },
+
+    // Merge `changes` into a stored message; resolves the updated message or null
+    async update(id, changes) {
+      const message = byId.get(String(id));
+      if (!message) return null;
+      Object.assign(message, changes);
+      index.add(message);
+      return message;
+    },
+
+    async get(id) {
+      return byId.get(String(id)) || null;
+    },
+
+    // The message `senderId` sent with `clientId` (or null)
+    async findByClientId(senderId, clientId) {
+      return byClientId.get(clientKey(senderId, clientId)) || null;
+    },
+
+    // Return a page of public history
+    // options: { room?, before?, limit? } -> { messages, hasMore }
+    async list(options = {}) {
+      return queryHistory(messages, options);
+    },
+
+    // Private messages to `recipientId` not yet confirmed delivered, oldest first
+    async listUndelivered(recipientId) {
+      return messages.filter((m) => m.isPrivate && m.recipientId === recipientId && m.status !== 'delivered');
+    },
+
+    // Messages of `conversation` numbered after `after`, oldest first:
+    // { messages, hasMore, truncated }. `truncated` means some of the messages
+    // after `after` are no longer kept, so the page does not start right after it.
+    async listSince(conversation, after, { limit = 100 } = {}) {
+      const found = messages.filter((m) => m.seq > after && conversationOf(m) === conversation);
+      const first = found.length ? found[0].seq : (lastSeq.get(conversation) || 0) + 1;
+      return { messages: found.slice(0, limit), hasMore: found.length > limit, truncated: first > after + 1 };
+    },
+
+    // Replies in a thread (messages whose threadId is `threadId`), oldest first
+    async listThread(threadId) {
+      return messages.filter((m) => m.threadId !== undefined && String(m.threadId) === String(threadId));
+    },
+
+    // Messages containing every word of `query` (the last word may be a prefix),
+    // newest first. `filter(message)` decides which matches the caller may see.
+    // Resolves { messages, hasMore }.
+    async search(query, { filter = () => true, limit = 20 } = {}) {
+      const terms = tokenize(query);
+      if (terms.length === 0) return { messages: [], hasMore: false };
+      const found = Array.from(index.match(terms), (id) => byId.get(id))
+        .filter((m) => m && filter(m))
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+      return { messages: found.slice(0, limit), hasMore: found.length > limit };
+    },
+
+    // Newest messages mentioning `userId` (see utils/mentions.js), newest first
+    async listMentions(userId, { limit = 50 } = {}) {
+      const found = [];
+      for (let i = messages.length - 1; i >= 0 && found.length < limit; i -= 1) {
+        const m = messages[i];
+        if (!m.deleted && Array.isArray(m.mentions) && m.mentions.some((u) => u.id === userId)) found.push(m);
+      }
+      return found;
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
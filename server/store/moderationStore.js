@@ -0,0 +1,148 @@
+/**
+ * moderationStore.js - Bans, mutes, slow-mode slots and the moderation audit log
+ *
+ * A sanction is
+ *   { id, type: 'ban' | 'mute', room, userId, username, ips, reason, by,
+ *     createdAt, expiresAt, liftedAt }
+ * where `room` is a room id or null for the whole server, `ips` are addresses
+ * banned along with the account, `by` is the moderator ({ id, username }) and
+ * `expiresAt` is null for a permanent sanction. A sanction is active until it
+ * expires or is lifted. Audit entries are
+ *   { id, action, room, by, target, reason, details, at }
+ * and are never changed. With a `file` every sanction change and audit entry
+ * is appended to a JSONL log, replayed on init.
+ *
+ * Slow-mode slots (until when each user must wait to post again in each room)
+ * are kept in memory only; the ones that ended are swept out at most every
+ * SLOT_SWEEP_INTERVAL as posts come in.
+ */
+
+const crypto = require('crypto');
+const { createJsonlLog } = require('./jsonlLog');
+
+const SLOT_SWEEP_INTERVAL = 60 * 1000;
+
+function createModerationStore({ file } = {}) {
+  const log = file ? createJsonlLog(file) : null;
+  const sanctions = new Map(); // id -> sanction
+  const audit = []; // oldest first
+  const slotEnds = new Map(); // `${room}|${userId}` -> ms timestamp the user may post again
+  let sweptAt = Date.now();
+
+  function isActive(sanction, now = Date.now()) {
+    return !sanction.liftedAt && (!sanction.expiresAt || Date.parse(sanction.expiresAt) > now);
+  }
+
+  function restore(record) {
+    if (record.kind === 'audit') audit.push(record.entry);
+    else if (record.kind === 'sanction') sanctions.set(record.sanction.id, record.sanction);
+  }
+
+  async function persist(record) {
+    if (log) await log.append(record);
+  }
+
+  return {
+    name: log ? 'jsonl' : 'memory',
+
+    async init() {
+      if (!log) return;
+      (await log.load()).forEach(restore);
+    },
+
+    // Record a sanction: { type, room, user: { id, username }, ips?, reason?, by, expiresAt? }
+    async addSanction({ type, room = null, user, ips = [], reason = '', by, expiresAt = null }) {
+      const sanction = {
+        id: crypto.randomUUID(),
+        type,
+        room,
+        userId: user.id,
+        username: user.username,
+        ips,
+        reason,
+        by,
+        createdAt: new Date().toISOString(),
+        expiresAt,
+        liftedAt: null,
+      };
+      sanctions.set(sanction.id, sanction);
+      await persist({ kind: 'sanction', sanction });
+      return sanction;
+    },
+
+    // Lift a user's active sanctions of `type` in `room` (null = server-wide); resolves them
+    async liftSanctions(type, room, userId) {
+      const lifted = [];
+      const now = new Date().toISOString();
+      for (const sanction of sanctions.values()) {
+        if (sanction.type !== type || sanction.room !== room || sanction.userId !== userId || !isActive(sanction)) continue;
+        sanction.liftedAt = now;
+        lifted.push(sanction);
+        await persist({ kind: 'sanction', sanction });
+      }
+      return lifted;
+    },
+
+    // The active sanction of `type` in any of `rooms` (null = server-wide) that
+    // applies to `userId` or, for bans, to `ip`; the one lasting longest wins
+    async findSanction(type, rooms, { userId, ip = null }) {
+      let found = null;
+      for (const sanction of sanctions.values()) {
+        if (sanction.type !== type || !rooms.includes(sanction.room) || !isActive(sanction)) continue;
+        if (sanction.userId !== userId && !(ip && sanction.ips.includes(ip))) continue;
+        if (!found || !sanction.expiresAt || (found.expiresAt && sanction.expiresAt > found.expiresAt)) found = sanction;
+      }
+      return found;
+    },
+
+    // Active sanctions in `room` (null = server-wide), newest first
+    async listSanctions(room) {
+      return Array.from(sanctions.values())
+        .filter((s) => s.room === room && isActive(s))
+        .reverse();
+    },
+
+    // Take a user's slow-mode slot in a room: resolves 0 and records the post,
+    // or the ms left until they may post again
+    async claimSlot(room, userId, interval) {
+      const key = `${room}|${userId}`;
+      const now = Date.now();
+      if (now - sweptAt >= SLOT_SWEEP_INTERVAL) {
+        sweptAt = now;
+        slotEnds.forEach((end, slot) => {
+          if (end <= now) slotEnds.delete(slot);
+        });
+      }
+      const wait = (slotEnds.get(key) || 0) - now;
+      if (wait > 0) return wait;
+      slotEnds.set(key, now + interval);
+      return 0;
+    },
+
+    // Append an audit entry: { action, room, by, target?, reason?, details? }
+    async record({ action, room = null, by, target = null, reason = '', details = {} }) {
+      const entry = { id: crypto.randomUUID(), action, room, by, target, reason, details, at: new Date().toISOString() };
+      audit.push(entry);
+      await persist({ kind: 'audit', entry });
+      return entry;
+    },
+
+    // Audit entries, newest first: { room? (null = server-wide), targetId?, limit? }
+    async listAudit({ room, targetId, limit = 50 } = {}) {
+      const found = [];
+      for (let i = audit.length - 1; i >= 0 && found.length < limit; i -= 1) {
+        const entry = audit[i];
+        if (room !== undefined && entry.room !== room) continue;
+        if (targetId !== undefined && (!entry.target || entry.target.id !== targetId)) continue;
+        found.push(entry);
+      }
+      return found;
+    },
+
+    async close() {
+      if (log) await log.flush();
+    },
+  };
+}
+
+module.exports = { createModerationStore };
@@ -0,0 +1,32 @@
+/**
+ * query.js - History query helpers shared by the store drivers
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function clampLimit(limit) {
+  const n = Math.floor(Number(limit));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+// Return one page of public history for a room (null = global timeline).
+// `before` is a message id cursor: only messages stored before it are returned.
+// Result: { messages (oldest first), hasMore }
+function queryHistory(messages, { room = null, before, limit } = {}) {
+  const pageSize = clampLimit(limit);
+  const timeline = messages.filter((m) => !m.isPrivate && (m.room || null) === room);
+
+  let end = timeline.length;
+  if (before !== undefined && before !== null && before !== '') {
+    const index = timeline.findIndex((m) => String(m.id) === String(before));
+    // an unknown cursor yields an empty page rather than the newest messages
+    end = index === -1 ? 0 : index;
+  }
+
+  const start = Math.max(0, end - pageSize);
+  return { messages: timeline.slice(start, end), hasMore: start > 0 };
+}
+
+module.exports = { queryHistory, clampLimit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
@@ -0,0 +1,78 @@
+/**
+ * receiptStore.js - Delivery and read watermarks
+ *
+ * Receipts are kept as one record per (conversation, user) holding how far
+ * that user has received (`delivered`) and read (`read`) the conversation:
+ * { conversation, userId, username, delivered: mark|null, read: mark|null }
+ * where mark = { messageId, timestamp, at } and `timestamp` is the message's.
+ * A message counts as delivered/read by a user when their mark is at or after
+ * it. Watermarks only move forward. With a `file` every change appends the
+ * record's new state to a JSONL log, replayed on init.
+ */
+
+const { createJsonlLog } = require('./jsonlLog');
+
+const KINDS = ['delivered', 'read'];
+
+function keyOf(conversation, userId) {
+  return `${conversation}|${userId}`;
+}
+
+// Whether `mark` covers a message sent at `timestamp`
+function reaches(mark, timestamp) {
+  return !!mark && Date.parse(mark.timestamp) >= Date.parse(timestamp);
+}
+
+function createReceiptStore({ file } = {}) {
+  const log = file ? createJsonlLog(file) : null;
+  const byKey = new Map();
+  const byConversation = new Map(); // conversation -> Map<userId, record>
+
+  function restore(record) {
+    byKey.set(keyOf(record.conversation, record.userId), record);
+    if (!byConversation.has(record.conversation)) byConversation.set(record.conversation, new Map());
+    byConversation.get(record.conversation).set(record.userId, record);
+  }
+
+  return {
+    name: log ? 'jsonl' : 'memory',
+
+    async init() {
+      if (!log) return;
+      (await log.load()).forEach(restore);
+    },
+
+    async get(conversation, userId) {
+      return byKey.get(keyOf(conversation, userId)) || null;
+    },
+
+    // Every user's record for one conversation
+    async listConversation(conversation) {
+      const records = byConversation.get(conversation);
+      return records ? Array.from(records.values()) : [];
+    },
+
+    // Move `user`'s `kind` watermark up to `message` (reading implies delivery).
+    // Resolves the updated record, or null when the mark was already there.
+    async advance(conversation, user, kind, message) {
+      if (!KINDS.includes(kind)) throw new Error(`Unknown receipt kind "${kind}"`);
+      const existing = byKey.get(keyOf(conversation, user.id));
+      if (existing && reaches(existing[kind], message.timestamp)) return null;
+
+      const mark = { messageId: message.id, timestamp: message.timestamp, at: new Date().toISOString() };
+      const record = existing || { conversation, userId: user.id, username: user.username, delivered: null, read: null };
+      record.username = user.username;
+      record[kind] = mark;
+      if (kind === 'read' && !reaches(record.delivered, message.timestamp)) record.delivered = mark;
+      restore(record);
+      if (log) await log.append(record);
+      return record;
+    },
+
+    async close() {
+      if (log) await log.flush();
+    },
+  };
+}
+
+module.exports = { createReceiptStore, reaches };
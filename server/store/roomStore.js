@@ -0,0 +1,135 @@
+/**
+ * roomStore.js - Room registry
+ *
+ * Rooms live in memory, indexed by id and by lower-cased name. When a `file`
+ * is given every change appends the room's full new state to a JSONL log
+ * (deletions append a `{ id, deleted: true }` tombstone), and the log is
+ * replayed on init.
+ */
+
+const crypto = require('crypto');
+const { createJsonlLog } = require('./jsonlLog');
+
+function createRoomStore({ file } = {}) {
+  const log = file ? createJsonlLog(file) : null;
+  const byId = new Map();
+
+  function findByName(name) {
+    const wanted = String(name).toLowerCase();
+    for (const room of byId.values()) {
+      if (room.name.toLowerCase() === wanted) return room;
+    }
+    return null;
+  }
+
+  async function persist(record) {
+    if (log) await log.append(record);
+  }
+
+  // Apply `mutate` to a room, stamp it and persist it; resolves the room or null
+  async function change(id, mutate) {
+    const room = byId.get(id);
+    if (!room) return null;
+    mutate(room);
+    room.updatedAt = new Date().toISOString();
+    await persist(room);
+    return room;
+  }
+
+  return {
+    name: log ? 'jsonl' : 'memory',
+
+    async init() {
+      if (!log) return;
+      (await log.load()).forEach((record) => {
+        if (record.deleted) byId.delete(record.id);
+        else byId.set(record.id, record);
+      });
+    },
+
+    async list() {
+      return Array.from(byId.values());
+    },
+
+    async get(id) {
+      return byId.get(id) || null;
+    },
+
+    async findByName(name) {
+      return findByName(name);
+    },
+
+    // Create a room owned (and joined) by `owner`; resolves null when the name is taken
+    async create({ name, topic = '', description = '', visibility = 'public', owner }) {
+      if (findByName(name)) return null;
+      const now = new Date().toISOString();
+      const room = {
+        id: crypto.randomUUID(),
+        name,
+        topic,
+        description,
+        visibility,
+        ownerId: owner.id,
+        members: [{ id: owner.id, username: owner.username }],
+        moderators: [],
+        invited: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      byId.set(room.id, room);
+      await persist(room);
+      return room;
+    },
+
+    // Merge metadata changes ({ name?, topic?, description?, visibility?, slowMode? })
+    async update(id, changes) {
+      return change(id, (room) => Object.assign(room, changes));
+    },
+
+    async remove(id) {
+      const room = byId.get(id);
+      if (!room) return null;
+      byId.delete(id);
+      await persist({ id, deleted: true });
+      return room;
+    },
+
+    // Add a member ({ id, username }); an outstanding invitation is used up
+    async addMember(id, user) {
+      return change(id, (room) => {
+        if (!room.members.some((m) => m.id === user.id)) {
+          room.members.push({ id: user.id, username: user.username });
+        }
+        room.invited = room.invited.filter((userId) => userId !== user.id);
+      });
+    },
+
+    // Remove a member (and their moderator role)
+    async removeMember(id, userId) {
+      return change(id, (room) => {
+        room.members = room.members.filter((m) => m.id !== userId);
+        room.moderators = (room.moderators || []).filter((modId) => modId !== userId);
+      });
+    },
+
+    // Make a member a moderator, or a plain member again
+    async setModerator(id, userId, isModerator) {
+      return change(id, (room) => {
+        const others = (room.moderators || []).filter((modId) => modId !== userId);
+        room.moderators = isModerator ? [...others, userId] : others;
+      });
+    },
+
+    async invite(id, userId) {
+      return change(id, (room) => {
+        if (!room.invited.includes(userId)) room.invited.push(userId);
+      });
+    },
+
+    async close() {
+      if (log) await log.flush();
+    },
+  };
+}
+
+module.exports = { createRoomStore };
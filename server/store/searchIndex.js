@@ -0,0 +1,74 @@
+/**
+ * searchIndex.js - In-memory inverted index over message text
+ *
+ * Maps each lower-cased word to the ids of the messages containing it. The
+ * memory driver keeps it in step with every append, update and eviction;
+ * deleted messages are dropped from it. A query matches messages containing
+ * every one of its words, the last word also matching as a prefix so results
+ * can follow what is being typed.
+ */
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lower-cased words of a piece of text
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(WORD) || [];
+}
+
+// Words a message can be found by: its text and its attachment's name
+function wordsOf(message) {
+  return new Set([...tokenize(message.text), ...tokenize(message.attachment && message.attachment.name)]);
+}
+
+function createSearchIndex() {
+  const postings = new Map(); // word -> Set<message id>
+  const wordsById = new Map(); // message id -> Set<word>
+
+  function remove(id) {
+    const key = String(id);
+    const words = wordsById.get(key);
+    if (!words) return;
+    words.forEach((word) => {
+      const ids = postings.get(word);
+      ids.delete(key);
+      if (ids.size === 0) postings.delete(word);
+    });
+    wordsById.delete(key);
+  }
+
+  // (Re)index a message under its current text
+  function add(message) {
+    remove(message.id);
+    if (message.deleted) return;
+    const key = String(message.id);
+    const words = wordsOf(message);
+    words.forEach((word) => {
+      if (!postings.has(word)) postings.set(word, new Set());
+      postings.get(word).add(key);
+    });
+    wordsById.set(key, words);
+  }
+
+  function idsFor(word, prefix) {
+    if (!prefix) return postings.get(word) || new Set();
+    const ids = new Set();
+    postings.forEach((set, indexed) => {
+      if (indexed.startsWith(word)) set.forEach((id) => ids.add(id));
+    });
+    return ids;
+  }
+
+  // Ids (as strings) of messages containing every word in `terms`
+  function match(terms) {
+    let result = null;
+    terms.forEach((term, i) => {
+      const ids = idsFor(term, i === terms.length - 1);
+      result = result === null ? new Set(ids) : new Set([...result].filter((id) => ids.has(id)));
+    });
+    return result || new Set();
+  }
+
+  return { add, remove, match };
+}
+
+module.exports = { createSearchIndex, tokenize };
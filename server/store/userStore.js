@@ -0,0 +1,72 @@
+/**
+ * userStore.js - Account store
+ *
+ * Accounts are indexed in memory by id and by lower-cased username. When a
+ * `file` is given every new or changed account is also appended to a JSONL
+ * log (its full new state) and replayed on init; without one, accounts last
+ * until the process exits.
+ */
+
+const crypto = require('crypto');
+const { createJsonlLog } = require('./jsonlLog');
+
+function createUserStore({ file } = {}) {
+  const log = file ? createJsonlLog(file) : null;
+  const byId = new Map();
+  const byName = new Map(); // lower-cased username -> account
+
+  function remember(account) {
+    byId.set(account.id, account);
+    byName.set(account.username.toLowerCase(), account);
+  }
+
+  return {
+    name: log ? 'jsonl' : 'memory',
+
+    async init() {
+      if (log) (await log.load()).forEach(remember);
+    },
+
+    async list() {
+      return Array.from(byId.values());
+    },
+
+    async findById(id) {
+      return byId.get(id) || null;
+    },
+
+    async findByUsername(username) {
+      return byName.get(String(username).toLowerCase()) || null;
+    },
+
+    // Create an account; resolves null when the username is already taken
+    async create({ username, passwordHash }) {
+      if (byName.has(username.toLowerCase())) return null;
+      const account = {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      };
+      // reserve the name before the write so concurrent registrations cannot both win
+      remember(account);
+      if (log) await log.append(account);
+      return account;
+    },
+
+    // Merge profile changes (e.g. { lastSeen, status }); resolves the account or null
+    async update(id, changes) {
+      const account = byId.get(id);
+      if (!account) return null;
+      Object.assign(account, changes);
+      if (log) await log.append(account);
+      return account;
+    },
+
+    async close() {
+      if (log) await log.flush();
+    },
+  };
+}
+
+module.exports = { createUserStore };
@@ -0,0 +1,36 @@
+/**
+ * attachments.test.js - Upload validation: types, sizes and file signatures
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateUpload } = require('../utils/attachments');
+
+const MAX_BYTES = 1024;
+
+// a RIFF container of `format` ('WEBP', 'WAVE', 'AVI ')
+function riff(format) {
+  const data = Buffer.alloc(32);
+  data.write('RIFF', 0, 'latin1');
+  data.writeUInt32LE(24, 4);
+  data.write(format, 8, 'latin1');
+  return data;
+}
+
+test('accepts a file whose contents match its type', () => {
+  assert.equal(validateUpload('image/png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]), MAX_BYTES), null);
+  assert.equal(validateUpload('image/webp', riff('WEBP'), MAX_BYTES), null);
+  assert.equal(validateUpload('text/plain', Buffer.from('hello'), MAX_BYTES), null);
+});
+
+test('rejects other RIFF files sent as WebP images', () => {
+  assert.equal(validateUpload('image/webp', riff('WAVE'), MAX_BYTES), 'File contents do not match its type');
+  assert.equal(validateUpload('image/webp', riff('AVI '), MAX_BYTES), 'File contents do not match its type');
+  assert.equal(validateUpload('image/webp', Buffer.from('RIFF'), MAX_BYTES), 'File contents do not match its type');
+});
+
+test('rejects unsupported, empty and oversized files', () => {
+  assert.equal(validateUpload('text/html', Buffer.from('<p>'), MAX_BYTES), 'Unsupported file type');
+  assert.equal(validateUpload('text/plain', Buffer.alloc(0), MAX_BYTES), 'Empty file');
+  assert.equal(validateUpload('text/plain', Buffer.alloc(MAX_BYTES + 1), MAX_BYTES), 'File too large');
+});
@@ -0,0 +1,42 @@
+/**
+ * jsonlLog.test.js - Appends to a JSON-lines log, and failed writes
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonlLog } = require('../store/jsonlLog');
+
+// a log in a fresh directory, removed after test `t`
+async function tempLog(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jsonl-log-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return createJsonlLog(path.join(dir, 'log.jsonl'));
+}
+
+test('appends records in call order and loads them back', async (t) => {
+  const log = await tempLog(t);
+  await Promise.all([log.append({ n: 1 }), log.append({ n: 2 }), log.append({ n: 3 })]);
+  assert.deepEqual(await log.load(), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('a failed write rejects only its own append', async (t) => {
+  const log = await tempLog(t);
+  await log.append({ n: 1 });
+
+  // the next write fails, the ones after it go through
+  const appendFile = mock.method(fs.promises, 'appendFile');
+  t.after(() => appendFile.mock.restore());
+  appendFile.mock.mockImplementationOnce(async () => {
+    throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+  });
+  const failed = log.append({ n: 2 });
+  const next = log.append({ n: 3 });
+
+  await assert.rejects(failed, { code: 'ENOSPC' });
+  await next;
+  await log.flush();
+  assert.deepEqual(await log.load(), [{ n: 1 }, { n: 3 }]);
+});
@@ -0,0 +1,57 @@
+/**
+ * memoryStore.test.js - Numbering, client-id dedupe and eviction in the memory driver
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store/memoryStore');
+
+function roomMessage(text) {
+  return { text, sender: 'alice', senderId: 'a', room: 'r1', isPrivate: false, timestamp: new Date().toISOString() };
+}
+
+function privateMessage(text, status = 'queued') {
+  return { text, sender: 'alice', senderId: 'a', recipientId: 'b', isPrivate: true, status, timestamp: new Date().toISOString() };
+}
+
+test('numbers messages across the store and within their conversation', async () => {
+  const store = createMemoryStore();
+  const first = await store.append(roomMessage('one'));
+  const dm = await store.append(privateMessage('two'));
+  const second = await store.append(roomMessage('three'));
+  assert.deepEqual([first.id, dm.id, second.id], [1, 2, 3]);
+  assert.deepEqual([first.seq, dm.seq, second.seq], [1, 1, 2]);
+});
+
+test('stores a client id once per sender', async () => {
+  const store = createMemoryStore();
+  const sent = await store.append({ ...roomMessage('hi'), clientId: 'c1' });
+  const again = await store.append({ ...roomMessage('hi'), clientId: 'c1' });
+  assert.equal(again.duplicate, true);
+  assert.equal(again.id, sent.id);
+});
+
+test('evicts the oldest messages past maxMessages', async () => {
+  const store = createMemoryStore({ maxMessages: 3 });
+  for (let i = 1; i <= 5; i += 1) await store.append(roomMessage(`m${i}`));
+  const { messages } = await store.list({ room: 'r1', limit: 10 });
+  assert.deepEqual(messages.map((m) => m.text), ['m3', 'm4', 'm5']);
+  assert.equal(await store.get(1), null);
+});
+
+test('keeps undelivered private messages until they are delivered', async () => {
+  const store = createMemoryStore({ maxMessages: 3 });
+  const queued = await store.append(privateMessage('while you were away'));
+  const delivered = await store.append(privateMessage('seen', 'delivered'));
+  for (let i = 1; i <= 5; i += 1) await store.append(roomMessage(`m${i}`));
+
+  assert.deepEqual((await store.listUndelivered('b')).map((m) => m.text), ['while you were away']);
+  assert.equal(await store.get(delivered.id), null);
+  const { messages } = await store.list({ room: 'r1', limit: 10 });
+  assert.deepEqual(messages.map((m) => m.text), ['m4', 'm5']);
+
+  await store.update(queued.id, { status: 'delivered' });
+  await store.append(roomMessage('m6'));
+  assert.equal(await store.get(queued.id), null);
+  assert.deepEqual((await store.listUndelivered('b')), []);
+});
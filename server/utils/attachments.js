@@ -0,0 +1,70 @@
+/**
+ * attachments.js - Upload validation and the attachment descriptor sent with messages
+ */
+
+// Accepted upload types; images must also start with their format's signature
+// (null: any byte)
+const ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+];
+
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  // "RIFF", the container size, then "WEBP" (WAV and AVI are RIFF files too)
+  'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+  'application/zip': [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]],
+};
+
+const MAX_NAME_LENGTH = 200;
+
+// Returns an error message, or null when `data` is an acceptable `mimeType` upload
+function validateUpload(mimeType, data, maxBytes) {
+  if (!ALLOWED_TYPES.includes(mimeType)) return 'Unsupported file type';
+  if (!data || data.length === 0) return 'Empty file';
+  if (data.length > maxBytes) return 'File too large';
+  const signatures = SIGNATURES[mimeType];
+  if (signatures && !signatures.some((sig) => sig.every((byte, i) => byte === null || data[i] === byte))) {
+    return 'File contents do not match its type';
+  }
+  return null;
+}
+
+// Display name without directories or control characters
+function sanitizeName(name) {
+  const base = String(name || '').split(/[\\/]/).pop();
+  const clean = base.replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, MAX_NAME_LENGTH);
+  return clean || 'file';
+}
+
+// What messages carry about an attachment
+function describeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.name,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+    url: `/api/uploads/${attachment.id}`,
+  };
+}
+
+// Resolve an upload `userId` may send: their own and not yet in (or being sent
+// in) a message. Resolves { attachment } or { code, error }. This only checks;
+// the send takes the upload with attachmentStore.reserve right before storing.
+async function claimAttachment(attachmentStore, attachmentId, userId) {
+  const attachment = await attachmentStore.get(attachmentId);
+  if (!attachment || attachment.uploaderId !== userId || attachment.messageId || attachment.reserved) {
+    return { code: 'not_found', error: 'Attachment not found' };
+  }
+  return { attachment };
+}
+
+module.exports = { ALLOWED_TYPES, validateUpload, sanitizeName, describeAttachment, claimAttachment };
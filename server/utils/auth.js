@@ -0,0 +1,70 @@
+/**
+ * auth.js - Password hashing and session token helpers
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = 10;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+function resolveSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET is not set; using a random secret (sessions end when the server restarts)');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const JWT_SECRET = resolveSecret();
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything past 72 bytes
+
+// Returns an error message, or null when the credentials are acceptable
+function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-30 characters: letters, numbers, ".", "_" or "-"';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Signed session token carrying the account id and username
+function signToken(account) {
+  return jwt.sign({ username: account.username }, JWT_SECRET, {
+    subject: account.id,
+    expiresIn: JWT_EXPIRES_IN,
+  });
+}
+
+// Resolves the token claims ({ sub, username, ... }) or null if invalid/expired
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+};
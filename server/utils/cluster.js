@@ -0,0 +1,127 @@
+/**
+ * cluster.js - IPC between the cluster primary, which owns the shared state,
+ * and its workers (see ../cluster.js and ../state.js)
+ *
+ * Workers call into services held by the primary through `createRemote`
+ * proxies: every method resolves what the primary's method resolved. The
+ * primary answers with `serveRemote` and pushes events to every worker with
+ * `publish`; workers receive them through `subscribe`.
+ *
+ * Messages are structured clones (the primary forks workers with 'advanced'
+ * serialization), so arguments and results must be plain data: pass
+ * { id, userId, username } instead of a socket, and expect copies rather than
+ * the primary's objects.
+ */
+
+const cluster = require('cluster');
+
+const CALL = 'chat:call';
+const RESULT = 'chat:result';
+const EVENT = 'chat:event';
+const READY = 'chat:ready';
+
+// Worker side ---------------------------------------------------------------
+
+const pending = new Map(); // call id -> { resolve, reject }
+const handlers = new Map(); // event -> Set<handler>
+let nextCallId = 1;
+let listening = false;
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  process.on('message', (message) => {
+    if (!message) return;
+    if (message.type === RESULT) {
+      const call = pending.get(message.id);
+      if (!call) return;
+      pending.delete(message.id);
+      if (message.error) call.reject(new Error(message.error));
+      else call.resolve(message.result);
+    } else if (message.type === EVENT) {
+      (handlers.get(message.event) || []).forEach((handler) => handler(message.payload));
+    }
+  });
+}
+
+function call(service, method, args) {
+  listen();
+  return new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    pending.set(id, { resolve, reject });
+    process.send({ type: CALL, id, service, method, args }, (err) => {
+      if (!err) return;
+      pending.delete(id);
+      reject(err);
+    });
+  });
+}
+
+// A stand-in for the primary's `service`: any method not in `overrides` is
+// called remotely and resolves its result
+function createRemote(service, overrides = {}) {
+  return new Proxy(overrides, {
+    get(target, method) {
+      if (method in target) return target[method];
+      if (typeof method !== 'string' || method === 'then') return undefined;
+      return (...args) => call(service, method, args);
+    },
+  });
+}
+
+function subscribe(event, handler) {
+  listen();
+  if (!handlers.has(event)) handlers.set(event, new Set());
+  handlers.get(event).add(handler);
+}
+
+// Tell the primary this worker can take connections
+function announceReady() {
+  process.send({ type: READY });
+}
+
+// Primary side --------------------------------------------------------------
+
+// Answer workers' calls with `services` ({ name: object with async methods })
+function serveRemote(services) {
+  cluster.on('message', async (worker, message) => {
+    if (!message || message.type !== CALL) return;
+    let reply;
+    try {
+      const { service, method, args } = message;
+      const target = services[service];
+      if (!target || typeof target[method] !== 'function') throw new Error(`Unknown remote method ${service}.${method}`);
+      reply = { type: RESULT, id: message.id, result: await target[method](...args) };
+    } catch (err) {
+      console.error(`remote call from worker ${worker.id} failed`, err);
+      reply = { type: RESULT, id: message.id, error: err.message || 'Remote call failed' };
+    }
+    if (worker.isConnected()) worker.send(reply);
+  });
+}
+
+// Send an event to every worker
+function publish(event, payload) {
+  const message = { type: EVENT, event, payload };
+  Object.values(cluster.workers).forEach((worker) => worker.isConnected() && worker.send(message));
+}
+
+// Resolves once `worker` has called announceReady()
+function whenReady(worker) {
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      if (!message || message.type !== READY) return;
+      worker.off('exit', onExit);
+      worker.off('message', onMessage);
+      resolve(worker);
+    };
+    const onExit = (code) => {
+      worker.off('message', onMessage);
+      reject(new Error(`worker ${worker.id} exited with code ${code} before it was ready`));
+    };
+    worker.on('message', onMessage);
+    worker.once('exit', onExit);
+  });
+}
+
+module.exports = { createRemote, subscribe, announceReady, serveRemote, publish, whenReady };
@@ -0,0 +1,151 @@
+/**
+ * markdown.js - Markdown subset for message formatting
+ *
+ * parseMessage(text) turns a message's raw text into a small AST that clients
+ * render node by node (never as HTML):
+ *
+ * Blocks:  { type: 'paragraph', children: Inline[] }
+ *          { type: 'code_block', lang, text }          ```lang ... ```
+ * Inline:  { type: 'text', text }
+ *          { type: 'strong', children }                **bold** or __bold__
+ *          { type: 'em', children }                    *italic* or _italic_
+ *          { type: 'code', text }                      `code`
+ *          { type: 'link', href, children }            [label](url) or a bare http(s) url
+ *          { type: 'mention', username }               @username
+ *          { type: 'break' }                           newline inside a paragraph
+ *
+ * Only http:, https: and mailto: links survive; anything else (javascript:,
+ * data:, relative urls) stays as plain text. The raw text is kept on the
+ * message for editing and search.
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const MAX_DEPTH = 4; // nesting of strong/em/link labels
+
+const FENCE = /^```([\w+-]{0,20})[ \t]*$/;
+const INLINE_RULES = [
+  { type: 'code', pattern: /`([^`\n]+)`/y },
+  { type: 'strong', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y },
+  { type: 'strong', pattern: /__(?=\S)([\s\S]*?\S)__(?!\w)/y, wordStart: true },
+  { type: 'em', pattern: /\*(?=[^\s*])([^*]*?[^\s*])\*/y },
+  { type: 'em', pattern: /_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/y, wordStart: true },
+  { type: 'link', pattern: /\[([^\]\n]{1,200})\]\(([^()\s]{1,2000})\)/y },
+  { type: 'url', pattern: /https?:\/\/[^\s<>]+/y, wordStart: true },
+  { type: 'mention', pattern: /@([A-Za-z0-9_.-]{3,30})/y, wordStart: true },
+];
+
+// The url if it is absolute and uses an allowed protocol, otherwise null
+function safeHref(raw) {
+  try {
+    const url = new URL(raw);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isWordStart(src, index) {
+  return index === 0 || /[\s([{"'>]/.test(src[index - 1]);
+}
+
+// Append a text node, merging with a preceding one
+function pushText(nodes, text) {
+  if (!text) return;
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') last.text += text;
+  else nodes.push({ type: 'text', text });
+}
+
+// Build the node for a rule match, or null to treat the match as plain text
+function inlineNode(type, match, depth) {
+  switch (type) {
+    case 'code':
+      return { type: 'code', text: match[1] };
+    case 'strong':
+    case 'em':
+      return { type, children: parseInline(match[1], depth + 1) };
+    case 'link': {
+      const href = safeHref(match[2]);
+      return href ? { type: 'link', href, children: parseInline(match[1], depth + 1) } : null;
+    }
+    case 'url': {
+      const href = safeHref(match[0]);
+      return href ? { type: 'link', href, children: [{ type: 'text', text: match[0] }] } : null;
+    }
+    case 'mention':
+      return match[1].length >= 3 ? { type: 'mention', username: match[1] } : null;
+    default:
+      return null;
+  }
+}
+
+function parseInline(src, depth = 0) {
+  const nodes = [];
+  let i = 0;
+  while (i < src.length) {
+    if (src[i] === '\n') {
+      nodes.push({ type: 'break' });
+      i += 1;
+      continue;
+    }
+    let matched = false;
+    if (depth < MAX_DEPTH) {
+      for (const rule of INLINE_RULES) {
+        if (rule.wordStart && !isWordStart(src, i)) continue;
+        rule.pattern.lastIndex = i;
+        const match = rule.pattern.exec(src);
+        if (!match) continue;
+        // trailing punctuation ends a sentence, not a url or username
+        if (rule.type === 'url' || rule.type === 'mention') {
+          const trimmed = match[0].replace(/[.,;:!?'")\]-]+$/, '');
+          match[0] = trimmed;
+          match[1] = trimmed.slice(1);
+        }
+        const node = inlineNode(rule.type, match, depth);
+        if (!node) continue;
+        nodes.push(node);
+        i += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      pushText(nodes, src[i]);
+      i += 1;
+    }
+  }
+  return nodes;
+}
+
+// Parse raw message text into block nodes
+function parseMessage(text) {
+  const blocks = [];
+  const lines = String(text || '').split('\n');
+  let paragraph = [];
+
+  function flushParagraph() {
+    const src = paragraph.join('\n').trim();
+    if (src) blocks.push({ type: 'paragraph', children: parseInline(src) });
+    paragraph = [];
+  }
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const fence = lines[i].match(FENCE);
+    if (!fence) {
+      paragraph.push(lines[i]);
+      continue;
+    }
+    flushParagraph();
+    const code = [];
+    i += 1;
+    while (i < lines.length && lines[i].trim() !== '```') {
+      code.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: 'code_block', lang: fence[1] || null, text: code.join('\n') });
+  }
+  flushParagraph();
+  return blocks;
+}
+
+module.exports = { parseMessage, safeHref };
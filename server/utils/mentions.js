@@ -0,0 +1,52 @@
+/**
+ * mentions.js - Resolve @username and @room mentions in parsed messages
+ *
+ * Mention nodes come from utils/markdown.js. Resolving annotates each node
+ * with the user it names (`userId`) or `room: true` for @room, and yields the
+ * users to notify. Only users who can read the message are mentioned, and
+ * @room only works inside a room (it names every member).
+ */
+
+const { canReadMessage } = require('./messages');
+const { userRoom } = require('./rooms');
+
+const ROOM_MENTION = 'room';
+
+// Every mention node in a message's content
+function mentionNodes(content = []) {
+  const found = [];
+  const walk = (nodes) =>
+    nodes.forEach((node) => {
+      if (node.type === 'mention') found.push(node);
+      if (node.children) walk(node.children);
+    });
+  walk(content);
+  return found;
+}
+
+// Annotate `message.content` in place and resolve the mentioned users as
+// [{ id, username }] (never the sender)
+async function resolveMentions({ userStore, roomStore }, message) {
+  const room = message.room ? await roomStore.get(message.room) : null;
+  const mentioned = new Map();
+  for (const node of mentionNodes(message.content)) {
+    if (room && node.username.toLowerCase() === ROOM_MENTION) {
+      node.room = true;
+      room.members.forEach((member) => mentioned.set(member.id, { id: member.id, username: member.username }));
+      continue;
+    }
+    const user = await userStore.findByUsername(node.username);
+    if (!user || !canReadMessage(message, user.id, room)) continue;
+    node.userId = user.id;
+    mentioned.set(user.id, { id: user.id, username: user.username });
+  }
+  mentioned.delete(message.senderId);
+  return Array.from(mentioned.values());
+}
+
+// Tell mentioned users' sessions about a message, whichever room they are in
+function notifyMentions(io, message, users) {
+  users.forEach((user) => io.to(userRoom(user.id)).emit('mention', { message }));
+}
+
+module.exports = { ROOM_MENTION, mentionNodes, resolveMentions, notifyMentions };
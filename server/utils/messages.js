@@ -0,0 +1,66 @@
+/**
+ * messages.js - Message audience and permission helpers
+ */
+
+const { userRoom, canRead, isModerator } = require('./rooms');
+
+const QUOTE_LENGTH = 140;
+
+// Broadcast operator reaching everyone who can see `message`: both sides of
+// a private conversation, the message's room, or everyone for the global chat
+function audienceOf(io, message) {
+  if (message.isPrivate) return io.to([userRoom(message.senderId), userRoom(message.recipientId)]);
+  if (message.room) return io.to(message.room);
+  return io;
+}
+
+// Authors can change their own messages; room owners and moderators moderate their rooms
+function canModifyMessage(message, userId, room = null) {
+  if (message.senderId === userId) return true;
+  return !!room && !message.isPrivate && isModerator(room, userId);
+}
+
+// Whether a user may read a message (room is the message's room record, if any)
+function canReadMessage(message, userId, room = null) {
+  if (message.isPrivate) return message.senderId === userId || message.recipientId === userId;
+  if (message.room) return !!room && canRead(room, userId);
+  return true;
+}
+
+// Short preview of a message, stored on replies so they render without a lookup.
+// Kept in step with the message by refreshQuotes when it is edited or deleted.
+function quoteOf(message) {
+  if (message.deleted) return { id: message.id, sender: message.sender, text: '', deleted: true };
+  const source = message.text || (message.attachment ? `📎 ${message.attachment.name}` : '');
+  const text = source.length > QUOTE_LENGTH ? `${source.slice(0, QUOTE_LENGTH)}…` : source;
+  return { id: message.id, sender: message.sender, text };
+}
+
+// Re-copy `message`'s preview onto the replies quoting it and tell their readers.
+// Call after an edit or delete so no reply keeps text its author changed or removed.
+async function refreshQuotes(io, messageStore, message) {
+  if (message.isPrivate) return;
+  const threadId = message.threadId !== undefined ? message.threadId : message.id;
+  const replies = await messageStore.listThread(threadId);
+  const quote = quoteOf(message);
+  for (const reply of replies) {
+    if (String(reply.replyTo) !== String(message.id)) continue;
+    const updated = await messageStore.update(reply.id, { quote });
+    audienceOf(io, updated).emit('message_updated', updated);
+  }
+}
+
+// Load a thread root and its replies for a reader.
+// Resolves { root, replies } or { code, error, status } (404 when missing or hidden).
+async function readThread({ messageStore, roomStore }, messageId, userId) {
+  const root = await messageStore.get(messageId);
+  const room = root && root.room ? await roomStore.get(root.room) : null;
+  if (!root || root.isPrivate || !canReadMessage(root, userId, room)) {
+    return { code: 'not_found', error: 'Message not found', status: 404 };
+  }
+  // a reply's id resolves to the thread it belongs to
+  if (root.threadId !== undefined) return readThread({ messageStore, roomStore }, root.threadId, userId);
+  return { root, replies: await messageStore.listThread(root.id) };
+}
+
+module.exports = { audienceOf, canModifyMessage, canReadMessage, quoteOf, refreshQuotes, readThread };
@@ -0,0 +1,109 @@
+/**
+ * moderation.js - Who may moderate whom, and the checks run before a user
+ * may join a room or send a message (see store/moderationStore.js)
+ *
+ * Accounts named in ADMIN_USERNAMES (comma-separated) are server admins: they
+ * moderate the global chat and private messages, where a sanction applies
+ * server-wide, and outrank everyone in every room. In a room the owner
+ * outranks moderators, who outrank members. Moderators act only on users
+ * ranked below them, never on themselves.
+ *
+ * Checks resolve null when the user may go ahead, otherwise an ack-ready
+ * { code, error, until?, retryAfter? } (`until` is when a sanction ends, null
+ * if never; `retryAfter` is in ms).
+ */
+
+const { roleOf } = require('./rooms');
+
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+);
+const RANKS = { member: 1, moderator: 2, owner: 3, admin: 4 };
+
+function isAdmin(user) {
+  return !!user && ADMIN_USERNAMES.has(String(user.username).toLowerCase());
+}
+
+// How much say `user` ({ id, username }) has in `room` (null = server-wide)
+function rankOf(room, user) {
+  if (isAdmin(user)) return RANKS.admin;
+  if (!room) return RANKS.member;
+  return RANKS[roleOf(room, user.id)] || RANKS.member;
+}
+
+function canModerate(room, user) {
+  return rankOf(room, user) >= RANKS.moderator;
+}
+
+function outranks(room, actor, target) {
+  return actor.id !== target.id && rankOf(room, actor) > rankOf(room, target);
+}
+
+// When a sanction of `seconds` ends; null (permanent) without a duration
+function expiryOf(seconds) {
+  return seconds === undefined || seconds === null ? null : new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+// Who is acting, as a sanction's `by` or an audit entry's actor
+function actorOf(socket) {
+  return { id: socket.data.userId, username: socket.data.username };
+}
+
+function findSanction(moderationStore, type, rooms, socket) {
+  return moderationStore.findSanction(type, rooms, { userId: socket.data.userId, ip: socket.handshake.address });
+}
+
+function sanctionError(sanction) {
+  const messages = {
+    ban: sanction.room ? 'You are banned from this room' : 'You are banned',
+    mute: sanction.room ? 'You are muted in this room' : 'You are muted',
+  };
+  return { code: sanction.type === 'ban' ? 'banned' : 'muted', error: messages[sanction.type], until: sanction.expiresAt };
+}
+
+// Whether the socket's user may enter `room` (a room record)
+async function checkJoin(socket, { moderationStore }, room) {
+  const ban = await findSanction(moderationStore, 'ban', [room.id], socket);
+  return ban ? sanctionError(ban) : null;
+}
+
+// Whether a ban or mute keeps the socket's user from changing what `room` (a
+// room record, or null for the global chat and private messages) shows, as by
+// editing or reacting to a message there
+async function checkSanctions(socket, { moderationStore }, room) {
+  const rooms = room ? [room.id, null] : [null];
+  const sanction =
+    (await findSanction(moderationStore, 'ban', rooms, socket)) ||
+    (await findSanction(moderationStore, 'mute', rooms, socket));
+  return sanction ? sanctionError(sanction) : null;
+}
+
+// Whether the socket's user may post to `room` (a room record, or null for the
+// global chat and private messages). Posting in a slow-mode room takes the
+// user's slot, so call this last, right before the message is stored.
+async function checkSend(socket, { moderationStore }, room) {
+  const sanctioned = await checkSanctions(socket, { moderationStore }, room);
+  if (sanctioned) return sanctioned;
+
+  if (room && room.slowMode > 0 && !canModerate(room, actorOf(socket))) {
+    const wait = await moderationStore.claimSlot(room.id, socket.data.userId, room.slowMode * 1000);
+    if (wait > 0) return { code: 'slow_mode', error: `Slow mode is on: wait ${Math.ceil(wait / 1000)}s`, retryAfter: wait };
+  }
+  return null;
+}
+
+module.exports = {
+  isAdmin,
+  canModerate,
+  outranks,
+  expiryOf,
+  actorOf,
+  findSanction,
+  sanctionError,
+  checkJoin,
+  checkSanctions,
+  checkSend,
+};
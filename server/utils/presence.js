@@ -0,0 +1,175 @@
+/**
+ * presence.js - Who is online, away or busy
+ *
+ * Every known account has one presence entry, published as
+ *   { id, username, state, status, lastSeen, sessions }
+ * - state:    'online' | 'away' | 'dnd' | 'offline'
+ * - status:   custom status message ('' when unset)
+ * - lastSeen: when the user's last session closed (null if never seen)
+ * - sessions: open sessions (tabs/devices)
+ *
+ * The state follows from the user's sessions and chosen mode: with no
+ * sessions they are offline; a chosen 'away' or 'dnd' applies otherwise; in
+ * 'auto' mode they are away once every session reports itself idle. The mode,
+ * status message and last-seen time are kept on the account, so they survive
+ * reconnects and restarts.
+ *
+ * Changes resolve the user's new public entry when anything in it changed,
+ * otherwise null, so callers can send presence_update diffs.
+ *
+ * Sessions are plain { id, userId, username, worker } descriptors (see
+ * sessionOf) so the tracker can live in the cluster primary; `worker` is the
+ * cluster worker holding the socket (null outside cluster mode).
+ */
+
+const cluster = require('cluster');
+const { PRESENCE_MODES: MODES, LIMITS } = require('../../shared/protocol.mjs');
+
+const MAX_STATUS_LENGTH = LIMITS.status;
+
+function createPresence({ userStore }) {
+  // userId -> { id, username, mode, status, lastSeen, sessions: Map<socketId, { idle, worker }> }
+  const entries = new Map();
+
+  function entryFor({ id, username, presence = {}, lastSeen = null }) {
+    let entry = entries.get(id);
+    if (!entry) {
+      entry = {
+        id,
+        username,
+        mode: MODES.includes(presence.mode) ? presence.mode : 'auto',
+        status: presence.status || '',
+        lastSeen,
+        sessions: new Map(),
+      };
+      entries.set(id, entry);
+    }
+    return entry;
+  }
+
+  function stateOf(entry) {
+    if (entry.sessions.size === 0) return 'offline';
+    if (entry.mode !== 'auto') return entry.mode;
+    return Array.from(entry.sessions.values()).every((s) => s.idle) ? 'away' : 'online';
+  }
+
+  function publish(entry) {
+    return {
+      id: entry.id,
+      username: entry.username,
+      state: stateOf(entry),
+      status: entry.status,
+      lastSeen: entry.lastSeen,
+      sessions: entry.sessions.size,
+    };
+  }
+
+  // Apply `mutate` to an entry; the new public entry if it changed, else null
+  function track(entry, mutate) {
+    const before = JSON.stringify(publish(entry));
+    mutate(entry);
+    const after = publish(entry);
+    return JSON.stringify(after) === before ? null : after;
+  }
+
+  return {
+    // Seed every stored account as offline with its saved status and last-seen time
+    async init() {
+      (await userStore.list()).forEach(entryFor);
+    },
+
+    list() {
+      return Array.from(entries.values(), publish);
+    },
+
+    // Entries of the known users among `userIds`
+    entriesOf(userIds) {
+      return userIds.filter((id) => entries.has(id)).map((id) => publish(entries.get(id)));
+    },
+
+    get(userId) {
+      const entry = entries.get(userId);
+      return entry ? publish(entry) : null;
+    },
+
+    // The user's chosen mode, which others only see through `state`
+    modeOf(userId) {
+      const entry = entries.get(userId);
+      return entry ? entry.mode : 'auto';
+    },
+
+    isOnline(userId) {
+      const entry = entries.get(userId);
+      return !!entry && entry.sessions.size > 0;
+    },
+
+    // The ids among `userIds` with at least one open session
+    online(userIds) {
+      return userIds.filter((id) => this.isOnline(id));
+    },
+
+    // Register a session; -> { first, update }
+    connect(session) {
+      const entry = entryFor({ id: session.userId, username: session.username });
+      const first = entry.sessions.size === 0;
+      const update = track(entry, (e) => e.sessions.set(session.id, { idle: false, worker: session.worker }));
+      return { first, update };
+    },
+
+    // Drop a session, stamping last-seen when it was the last one; -> { last, update }
+    async disconnect(session) {
+      const entry = entries.get(session.userId);
+      if (!entry || !entry.sessions.has(session.id)) return { last: false, update: null };
+      const last = entry.sessions.size === 1;
+      const update = track(entry, (e) => {
+        e.sessions.delete(session.id);
+        if (last) e.lastSeen = new Date().toISOString();
+      });
+      if (last) await userStore.update(entry.id, { lastSeen: entry.lastSeen });
+      return { last, update };
+    },
+
+    // Drop every session held by a cluster worker that exited; resolves the changed entries
+    async dropWorker(worker) {
+      const updates = [];
+      for (const entry of entries.values()) {
+        for (const [id, session] of Array.from(entry.sessions)) {
+          if (session.worker !== worker) continue;
+          const { update } = await this.disconnect({ id, userId: entry.id });
+          if (update) updates.push(update);
+        }
+      }
+      return updates;
+    },
+
+    // Record whether a session's user has been inactive; resolves the update or null
+    setIdle(session, idle) {
+      const entry = entries.get(session.userId);
+      if (!entry || !entry.sessions.has(session.id)) return null;
+      return track(entry, (e) => e.sessions.set(session.id, { ...e.sessions.get(session.id), idle: !!idle }));
+    },
+
+    // Choose a mode ('auto' | 'away' | 'dnd') and/or status message; -> { update } or { code, error }
+    async setStatus(userId, { mode, status }) {
+      const entry = entries.get(userId);
+      if (!entry) return { code: 'conflict', error: 'Not connected' };
+      if (mode !== undefined && !MODES.includes(mode)) return { code: 'invalid_payload', error: 'Invalid presence mode' };
+      const text = status === undefined ? entry.status : String(status).trim();
+      if (text.length > MAX_STATUS_LENGTH) return { code: 'invalid_payload', error: 'Status message too long' };
+      const update = track(entry, (e) => {
+        if (mode !== undefined) e.mode = mode;
+        e.status = text;
+      });
+      await userStore.update(userId, { presence: { mode: entry.mode, status: entry.status } });
+      return { update, mode: entry.mode };
+    },
+  };
+}
+
+// The presence session for a socket
+function sessionOf(socket) {
+  const { userId, username } = socket.data;
+  return { id: socket.id, userId, username, worker: cluster.isWorker ? cluster.worker.id : null };
+}
+
+module.exports = { createPresence, sessionOf, MODES, MAX_STATUS_LENGTH };
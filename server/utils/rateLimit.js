@@ -0,0 +1,199 @@
+/**
+ * rateLimit.js - Token buckets for socket events, with escalation and
+ * duplicate-message detection
+ *
+ * Every incoming event takes a token from two buckets: one for the socket and
+ * one for its user, shared by all their tabs. A bucket holds up to `burst`
+ * tokens and refills `rate` tokens a second; an event finding either bucket
+ * empty is refused. Each refusal, and each message repeated more than
+ * `maxDuplicates` times within `duplicateWindow` ms, is a strike against the
+ * user. Strikes within `strikeWindow` ms escalate:
+ *
+ *   warn        the event is refused
+ *   throttle    from `throttleStrikes` on: for `throttleMs` each of the user's
+ *               events costs `throttleCost` tokens
+ *   disconnect  from `disconnectStrikes` on: the user's sessions are dropped and
+ *               new ones refused for `blockMs`
+ *
+ * Limits are per event name; events without an entry of their own share the `*` buckets.
+ * State is kept in memory by each process, so cluster workers count separately.
+ * A user's entries are dropped once they no longer matter (buckets refilled,
+ * strikes, throttles, blocks and recent messages expired), in a sweep run at
+ * most every `sweepInterval` ms as events come in; a socket's buckets go when
+ * it disconnects.
+ */
+
+const DEFAULT_LIMITS = {
+  send_message: { socket: { burst: 6, rate: 1 }, user: { burst: 10, rate: 1.5 } },
+  private_message: { socket: { burst: 6, rate: 1 }, user: { burst: 10, rate: 1.5 } },
+  typing: { socket: { burst: 5, rate: 1 }, user: { burst: 10, rate: 2 } },
+  '*': { socket: { burst: 30, rate: 5 }, user: { burst: 60, rate: 10 } },
+};
+const DEFAULT_OPTIONS = {
+  strikeWindow: 60 * 1000,
+  throttleStrikes: 10,
+  throttleMs: 60 * 1000,
+  throttleCost: 3,
+  disconnectStrikes: 30,
+  blockMs: 60 * 1000,
+  duplicateWindow: 30 * 1000,
+  maxDuplicates: 2,
+  sweepInterval: 60 * 1000,
+};
+
+// DEFAULT_LIMITS with overrides given as JSON (the SOCKET_RATE_LIMITS env var), e.g.
+//   {"send_message":{"socket":{"burst":3,"rate":0.5}}}
+// Entries missing from the override keep their defaults.
+function readLimits(json) {
+  if (!json) return DEFAULT_LIMITS;
+  const overrides = JSON.parse(json);
+  const limits = { ...DEFAULT_LIMITS };
+  Object.entries(overrides).forEach(([event, limit]) => {
+    const base = limits[event] || limits['*'];
+    limits[event] = {
+      socket: { ...base.socket, ...(limit.socket || {}) },
+      user: { ...base.user, ...(limit.user || {}) },
+    };
+  });
+  return limits;
+}
+
+function createRateLimiter({ limits = DEFAULT_LIMITS, now = Date.now, ...options } = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const socketBuckets = new Map(); // socketId -> Map<event, { tokens, at }>
+  const userBuckets = new Map(); // userId -> Map<event, { tokens, at }>
+  const offenders = new Map(); // userId -> { strikes: [ms], throttledUntil, blockedUntil }
+  const recent = new Map(); // userId -> [{ text, at }] messages within duplicateWindow
+  let sweptAt = now();
+
+  // The buckets an event draws from
+  function bucketName(event) {
+    return limits[event] ? event : '*';
+  }
+
+  // A bucket refilled up to `at`
+  function bucketOf(owners, id, event, { burst, rate }, at) {
+    if (!owners.has(id)) owners.set(id, new Map());
+    const bucket = owners.get(id).get(event) || { tokens: burst, at };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((at - bucket.at) / 1000) * rate);
+    bucket.at = at;
+    owners.get(id).set(event, bucket);
+    return bucket;
+  }
+
+  // ms until a bucket holds `cost` tokens (0 = it does now)
+  function waitFor(bucket, { rate }, cost) {
+    return bucket.tokens >= cost ? 0 : Math.ceil(((cost - bucket.tokens) / rate) * 1000);
+  }
+
+  function offender(userId) {
+    if (!offenders.has(userId)) offenders.set(userId, { strikes: [], throttledUntil: 0, blockedUntil: 0 });
+    return offenders.get(userId);
+  }
+
+  // Count a strike: { level, escalated } where `escalated` is true when this
+  // strike started a throttle or a disconnect
+  function strike(userId, at) {
+    const record = offender(userId);
+    record.strikes = record.strikes.filter((t) => at - t < settings.strikeWindow);
+    record.strikes.push(at);
+    if (record.strikes.length >= settings.disconnectStrikes) {
+      record.strikes = [];
+      record.blockedUntil = at + settings.blockMs;
+      return { level: 'disconnect', escalated: true };
+    }
+    if (record.strikes.length >= settings.throttleStrikes) {
+      const escalated = record.throttledUntil <= at;
+      record.throttledUntil = at + settings.throttleMs;
+      return { level: 'throttle', escalated };
+    }
+    return { level: record.throttledUntil > at ? 'throttle' : 'warn', escalated: false };
+  }
+
+  function normalise(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // A user's messages still inside the duplicate window
+  function recentOf(userId, at) {
+    return (recent.get(userId) || []).filter((m) => at - m.at < settings.duplicateWindow);
+  }
+
+  // Drop the entries of users who have been quiet long enough for them to be
+  // back at their defaults: full buckets, no live strikes or sanctions, no recent messages
+  function sweep(at) {
+    sweptAt = at;
+    userBuckets.forEach((buckets, userId) => {
+      const full = Array.from(buckets).every(([name, bucket]) => {
+        const { burst, rate } = limits[name].user;
+        return bucket.tokens + ((at - bucket.at) / 1000) * rate >= burst;
+      });
+      if (full) userBuckets.delete(userId);
+    });
+    offenders.forEach((record, userId) => {
+      const active = record.strikes.some((t) => at - t < settings.strikeWindow);
+      if (!active && record.throttledUntil <= at && record.blockedUntil <= at) offenders.delete(userId);
+    });
+    recent.forEach((sent, userId) => {
+      if (recentOf(userId, at).length === 0) recent.delete(userId);
+    });
+  }
+
+  return {
+    // Take a token for `event` from socket `socketId` of `userId`: { ok: true }
+    // or { ok: false, retryAfter (ms), level, escalated }
+    take(event, socketId, userId) {
+      const at = now();
+      if (at - sweptAt >= settings.sweepInterval) sweep(at);
+      const name = bucketName(event);
+      const limit = limits[name];
+      const record = offenders.get(userId);
+      const cost = record && record.throttledUntil > at ? settings.throttleCost : 1;
+      // the user's bucket catches a flood spread over several tabs
+      const own = bucketOf(socketBuckets, socketId, name, limit.socket, at);
+      const shared = bucketOf(userBuckets, userId, name, limit.user, at);
+      const wait = Math.max(waitFor(own, limit.socket, cost), waitFor(shared, limit.user, cost));
+      if (wait > 0) return { ok: false, retryAfter: wait, ...strike(userId, at) };
+      own.tokens -= cost;
+      shared.tokens -= cost;
+      return { ok: true };
+    },
+
+    // Check a message's text before it is posted: { ok: true }, or, when the user
+    // already posted it `maxDuplicates` times within the window, { ok: false,
+    // retryAfter, level, escalated }. Only messages passed to recordMessage count.
+    checkDuplicate(userId, text) {
+      const at = now();
+      const normalised = normalise(text);
+      if (!normalised) return { ok: true };
+      const repeats = recentOf(userId, at).filter((m) => m.text === normalised);
+      if (repeats.length >= settings.maxDuplicates) {
+        return { ok: false, retryAfter: repeats[0].at + settings.duplicateWindow - at, ...strike(userId, at) };
+      }
+      return { ok: true };
+    },
+
+    // Remember the text of a message that was posted, for checkDuplicate
+    recordMessage(userId, text) {
+      const at = now();
+      const normalised = normalise(text);
+      if (!normalised) return;
+      const sent = recentOf(userId, at);
+      sent.push({ text: normalised, at });
+      recent.set(userId, sent);
+    },
+
+    // ms until a disconnected user may connect again (0 = now)
+    blockedFor(userId) {
+      const record = offenders.get(userId);
+      return record ? Math.max(0, record.blockedUntil - now()) : 0;
+    },
+
+    // Drop a closed socket's buckets
+    forgetSocket(socketId) {
+      socketBuckets.delete(socketId);
+    },
+  };
+}
+
+module.exports = { DEFAULT_LIMITS, readLimits, createRateLimiter };
@@ -0,0 +1,62 @@
+/**
+ * receipts.js - Helpers for delivery/read watermarks (see store/receiptStore.js)
+ */
+
+const { reaches } = require('../store/receiptStore');
+
+// Receipt conversation of a room (null = the global chat)
+function roomConversation(room) {
+  return room || 'global';
+}
+
+// Receipt conversation of the DMs between two users
+function dmConversation(userId, otherId) {
+  return `dm:${[userId, otherId].sort().join(':')}`;
+}
+
+// Receipt conversation of a message: its room, 'global', or the DM pair
+function conversationOf(message) {
+  if (message.isPrivate) return dmConversation(message.senderId, message.recipientId);
+  return roomConversation(message.room);
+}
+
+// Per-recipient state of one message from its conversation's watermark records:
+// { delivered: [{ id, username, at }], read: [{ id, username, at }] } (sender excluded)
+function receiptsFor(message, records) {
+  const receipts = { delivered: [], read: [] };
+  records.forEach((record) => {
+    if (record.userId === message.senderId) return;
+    ['delivered', 'read'].forEach((kind) => {
+      if (reaches(record[kind], message.timestamp)) {
+        receipts[kind].push({ id: record.userId, username: record.username, at: record[kind].at });
+      }
+    });
+  });
+  return receipts;
+}
+
+// Copies of `messages` carrying their `receipts`
+async function withReceipts(receiptStore, messages) {
+  const records = new Map();
+  for (const message of messages) {
+    const conversation = conversationOf(message);
+    if (!records.has(conversation)) records.set(conversation, await receiptStore.listConversation(conversation));
+  }
+  return messages.map((message) => ({ ...message, receipts: receiptsFor(message, records.get(conversationOf(message))) }));
+}
+
+// `receipt_updated` payload for a watermark `record` that moved to `message`
+function receiptEvent(record, kind, message) {
+  return {
+    type: kind,
+    userId: record.userId,
+    username: record.username,
+    messageId: record[kind].messageId,
+    upTo: record[kind].timestamp,
+    at: record[kind].at,
+    room: message.isPrivate ? null : message.room || null,
+    participants: message.isPrivate ? [message.senderId, message.recipientId] : null,
+  };
+}
+
+module.exports = { roomConversation, dmConversation, conversationOf, receiptsFor, withReceipts, receiptEvent };
@@ -0,0 +1,106 @@
+/**
+ * rooms.js - Room visibility and permission rules
+ *
+ * A registry room's id doubles as its Socket.io room name; per-user rooms are
+ * prefixed with "user:" so the two never collide.
+ *
+ * Visibility:
+ * - public:  listed for everyone, anyone may join and read history
+ * - invite:  listed for everyone, joining needs an invitation
+ * - private: listed only for members and invitees, joining needs an invitation
+ *
+ * Roles: the owner, moderators (`room.moderators`, user ids) and members.
+ * The owner and moderators moderate the room (see utils/moderation.js).
+ */
+
+const { VISIBILITIES } = require('../../shared/protocol.mjs');
+
+const ROOM_FIELDS = ['name', 'topic', 'description', 'visibility'];
+
+function isMember(room, userId) {
+  return room.members.some((m) => m.id === userId);
+}
+
+function isInvited(room, userId) {
+  return room.invited.includes(userId);
+}
+
+function canView(room, userId) {
+  return room.visibility !== 'private' || isMember(room, userId) || isInvited(room, userId);
+}
+
+function canJoin(room, userId) {
+  return room.visibility === 'public' || isMember(room, userId) || isInvited(room, userId);
+}
+
+// Public rooms are readable by anyone; other rooms only by their members
+function canRead(room, userId) {
+  return room.visibility === 'public' || isMember(room, userId);
+}
+
+function canManage(room, userId) {
+  return room.ownerId === userId;
+}
+
+// 'owner' | 'moderator' | 'member', or null for someone outside the room
+function roleOf(room, userId) {
+  if (room.ownerId === userId) return 'owner';
+  if ((room.moderators || []).includes(userId)) return 'moderator';
+  return isMember(room, userId) ? 'member' : null;
+}
+
+function isModerator(room, userId) {
+  const role = roleOf(room, userId);
+  return role === 'owner' || role === 'moderator';
+}
+
+// Room metadata from a validated create_room / update_room payload (see
+// shared/protocol.mjs). Only fields present in the payload are returned, so
+// the result can be used for partial updates; a null topic or description clears it.
+function readRoomFields(payload) {
+  const changes = {};
+  ROOM_FIELDS.forEach((field) => {
+    if (payload[field] !== undefined && payload[field] !== null) changes[field] = payload[field];
+  });
+  if (payload.topic === null) changes.topic = '';
+  if (payload.description === null) changes.description = '';
+  return changes;
+}
+
+async function listVisibleRooms(roomStore, userId) {
+  return (await roomStore.list()).filter((room) => canView(room, userId));
+}
+
+// Socket.io room that every socket of an account joins, so events can address a person
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// Validate the target room of a socket event. Omitted/null means the global
+// chat; anything else must be a registry room this socket has joined (a
+// lookup in Socket.io's per-socket set, not including its own or user room).
+// Returns { room } or { code, error }.
+function resolveTargetRoom(socket, room) {
+  if (room === undefined || room === null || room === '') return { room: null };
+  if (typeof room !== 'string') return { code: 'invalid_payload', error: 'Invalid room' };
+  if (room === socket.id || room.startsWith('user:') || !socket.rooms.has(room)) {
+    return { code: 'forbidden', error: 'Not a member of this room' };
+  }
+  return { room };
+}
+
+module.exports = {
+  VISIBILITIES,
+  isMember,
+  isInvited,
+  canView,
+  canJoin,
+  canRead,
+  canManage,
+  roleOf,
+  isModerator,
+  readRoomFields,
+  listVisibleRooms,
+  userRoom,
+  resolveTargetRoom,
+};
@@ -0,0 +1,78 @@
+/**
+ * typing.js - Who is typing in each room, with expiry and coalesced broadcasts
+ *
+ * Clients send `typing { isTyping: true }` every few seconds while the user
+ * types and `false` when they stop. An entry that is not refreshed within
+ * `ttl` ms expires by itself, so a lost `false` or a frozen tab never leaves
+ * someone "typing" forever. Refreshing an entry costs no traffic: a room's
+ * list is only sent when the set of usernames in it changes, and changes
+ * within `throttle` ms of each other go out as one `onChange(room, usernames)`.
+ */
+
+const DEFAULT_TTL = 6000; // ms
+const DEFAULT_THROTTLE = 300; // ms
+
+function createTypingTracker({ onChange, ttl = DEFAULT_TTL, throttle = DEFAULT_THROTTLE }) {
+  const rooms = new Map(); // room key ('' = global chat) -> Map<socketId, { username, timer }>
+  const pending = new Map(); // room key -> flush timer
+  const sent = new Map(); // room key -> usernames last sent, joined with '\n'
+
+  // Usernames typing in a room (a user typing in two tabs is listed once)
+  function usernames(key) {
+    const typing = rooms.get(key);
+    return typing ? Array.from(new Set(Array.from(typing.values(), (t) => t.username))) : [];
+  }
+
+  function flush(key) {
+    pending.delete(key);
+    const names = usernames(key);
+    const signature = names.join('\n');
+    if ((sent.get(key) || '') === signature) return;
+    if (signature) sent.set(key, signature);
+    else sent.delete(key);
+    onChange(key || null, names);
+  }
+
+  function schedule(key) {
+    if (!pending.has(key)) pending.set(key, setTimeout(() => flush(key), throttle));
+  }
+
+  function stop(key, socketId) {
+    const typing = rooms.get(key);
+    const entry = typing && typing.get(socketId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    typing.delete(socketId);
+    if (typing.size === 0) rooms.delete(key);
+    schedule(key);
+  }
+
+  return {
+    // Start (or refresh) or stop a session's typing state in `room` (null = global
+    // chat); `session` is { id, username } (see utils/presence.js sessionOf)
+    set(room, session, isTyping) {
+      const key = room || '';
+      if (!isTyping) {
+        stop(key, session.id);
+        return;
+      }
+      if (!rooms.has(key)) rooms.set(key, new Map());
+      const typing = rooms.get(key);
+      const entry = typing.get(session.id);
+      if (entry) clearTimeout(entry.timer);
+      typing.set(session.id, { username: session.username, timer: setTimeout(() => stop(key, session.id), ttl) });
+      if (!entry) schedule(key);
+    },
+
+    // Forget a socket everywhere (it disconnected)
+    clearSocket(socketId) {
+      Array.from(rooms.keys()).forEach((key) => stop(key, socketId));
+    },
+
+    list(room) {
+      return usernames(room || '');
+    },
+  };
+}
+
+module.exports = { createTypingTracker };
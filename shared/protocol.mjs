@@ -0,0 +1,335 @@
+// shared/protocol.mjs
+// The socket event protocol, shared by the server (require) and the client (import)
+//
+// - PROTOCOL_VERSION / MIN_PROTOCOL_VERSION: clients send the version they speak
+//   as `auth: { token, protocol }`; the server settles on the lower of the two and
+//   refuses clients older than MIN_PROTOCOL_VERSION ("Upgrade required")
+// - CLIENT_EVENTS: payload schema of every client -> server event; the server
+//   validates (and normalises) each payload before a handler sees it
+// - SERVER_EVENTS: payload schema of every server -> client event; extra fields
+//   are allowed, so these describe what a client may rely on
+// - ERRORS: the `code` of every failed ack, which is always
+//     { ok: false, code, error, ...details }
+//   with `error` a human-readable message
+//
+// A schema is a plain object built with the helpers below; `validate(schema,
+// value)` returns { value } (strings trimmed, unknown object fields dropped) or
+// { error }.
+
+// 1: payloads checked by each handler; 2: schemas, error codes and negotiation;
+// 3: message `seq` and the `sync` event
+export const PROTOCOL_VERSION = 3
+export const MIN_PROTOCOL_VERSION = 2
+
+export const ERRORS = {
+  invalid_payload: 'The payload does not match the event schema, or a value is out of range',
+  unknown_event: 'The server does not handle this event',
+  upgrade_required: 'The client speaks an older protocol than the server supports',
+  unauthorized: 'No valid session token',
+  not_found: 'The room, message, user or upload does not exist or is hidden from the user',
+  forbidden: 'The user may not do this',
+  conflict: 'The request clashes with the current state (a taken name, a deleted message...)',
+  banned: 'The user is banned here; `until` says when it ends (null = never)',
+  muted: 'The user is muted here; `until` says when it ends (null = never)',
+  slow_mode: 'The room is in slow mode; `retryAfter` (ms) says when the user may post',
+  rate_limited: 'Too many events, or a repeated message; `retryAfter` (ms) says when to try again',
+  server_error: 'Something went wrong on the server',
+}
+
+// Length and range limits enforced by the schemas (the server may add its own,
+// like MAX_MESSAGE_LENGTH)
+export const LIMITS = {
+  id: 100,
+  clientId: 64,
+  roomName: 50,
+  topic: 120,
+  description: 500,
+  emoji: 16,
+  status: 100,
+  reason: 200,
+  historyPage: 200,
+  syncConversations: 200,
+  sanctionSeconds: 30 * 24 * 60 * 60,
+  slowModeSeconds: 60 * 60,
+}
+
+export const VISIBILITIES = ['public', 'invite', 'private']
+export const PRESENCE_MODES = ['auto', 'away', 'dnd']
+export const ROLES = ['moderator', 'member']
+
+// ---- schema helpers ----
+
+// `optional` lets a value be left out or null; it is then passed on as given
+export const string = (options = {}) => ({ type: 'string', ...options })
+// a room, user or message id: a non-empty string or a number
+export const id = (options = {}) => ({ type: 'id', ...options })
+export const integer = (options = {}) => ({ type: 'integer', ...options })
+export const boolean = (options = {}) => ({ type: 'boolean', ...options })
+export const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options })
+export const array = (items, options = {}) => ({ type: 'array', items, ...options })
+// a missing payload counts as {}; `loose` keeps fields the schema does not list
+export const object = (fields, options = {}) => ({ type: 'object', fields, ...options })
+// no payload expected; whatever is sent is ignored
+export const none = () => ({ type: 'none' })
+export const any = (options = {}) => ({ type: 'any', ...options })
+
+function describe(schema) {
+  if (schema.type === 'enum') return `one of: ${schema.values.join(', ')}`
+  if (schema.type === 'id') return 'an id'
+  if (schema.type === 'integer' || schema.type === 'array' || schema.type === 'object') return `an ${schema.type}`
+  return `a ${schema.type}`
+}
+
+function range(schema, unit = '') {
+  const min = schema.min === undefined ? '' : schema.min
+  const max = schema.max === undefined ? '' : schema.max
+  return `${min}-${max}${unit}`
+}
+
+// Validate `value` against `schema`; `path` names it in error messages
+export function validate(schema, value, path = schema.name || 'payload') {
+  if (schema.type === 'none') return { value: undefined }
+  if (value === undefined && schema.type === 'object' && !schema.optional) value = {}
+  if (value === undefined || value === null) {
+    return schema.optional ? { value } : { error: `${path} is required` }
+  }
+  const wrong = { error: `${path} must be ${describe(schema)}` }
+
+  switch (schema.type) {
+    case 'any':
+      return { value }
+    case 'string': {
+      if (typeof value !== 'string') return wrong
+      const text = schema.trim === false ? value : value.trim()
+      if ((schema.min !== undefined && text.length < schema.min) || (schema.max !== undefined && text.length > schema.max)) {
+        return { error: `${path} must be ${range(schema, ' characters')}` }
+      }
+      return { value: text }
+    }
+    case 'id': {
+      if (typeof value === 'number') return Number.isFinite(value) ? { value } : wrong
+      if (typeof value !== 'string' || !value.trim() || value.length > LIMITS.id) return wrong
+      return { value: value.trim() }
+    }
+    case 'integer':
+      if (!Number.isInteger(value)) return wrong
+      if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        return { error: `${path} must be ${range(schema)}` }
+      }
+      return { value }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : wrong
+    case 'enum':
+      return schema.values.includes(value) ? { value } : wrong
+    case 'array': {
+      if (!Array.isArray(value)) return wrong
+      if (schema.max !== undefined && value.length > schema.max) return { error: `${path} has more than ${schema.max} items` }
+      const items = []
+      for (let i = 0; i < value.length; i += 1) {
+        const item = validate(schema.items, value[i], `${path}[${i}]`)
+        if (item.error) return item
+        items.push(item.value)
+      }
+      return { value: items }
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return wrong
+      const result = schema.loose ? { ...value } : {}
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const field = validate(fieldSchema, value[key], path === 'payload' ? key : `${path}.${key}`)
+        if (field.error) return field
+        if (field.value !== undefined) result[key] = field.value
+      }
+      return { value: result }
+    }
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`)
+  }
+}
+
+// ---- client -> server ----
+
+const roomRef = id({ optional: true }) // omitted or null: the global chat
+const reason = string({ optional: true, max: LIMITS.reason })
+const roomFields = {
+  topic: string({ optional: true, max: LIMITS.topic }),
+  description: string({ optional: true, max: LIMITS.description }),
+  visibility: oneOf(VISIBILITIES, { optional: true }),
+}
+const moderationTarget = { roomId: id({ optional: true }), userId: id() }
+// chosen by the sender's client, which sends it again with every retry; the
+// server stores a sender's message once per client id
+const clientId = string({ optional: true, min: 1, max: LIMITS.clientId })
+
+// `ack: false` marks events sent without an acknowledgement
+export const CLIENT_EVENTS = {
+  user_join: { payload: object({ room: roomRef }) },
+  list_rooms: { payload: none() },
+  create_room: { payload: object({ name: string({ min: 1, max: LIMITS.roomName }), ...roomFields }) },
+  update_room: { payload: object({ roomId: id(), name: string({ optional: true, min: 1, max: LIMITS.roomName }), ...roomFields }) },
+  delete_room: { payload: object({ roomId: id() }) },
+  invite_to_room: { payload: object({ roomId: id(), userId: id() }) },
+  join_room: { payload: id({ name: 'roomId' }) },
+  leave_room: { payload: id({ name: 'roomId' }) },
+  send_message: {
+    payload: object({
+      text: string({ optional: true }),
+      room: roomRef,
+      replyTo: id({ optional: true }),
+      attachmentId: id({ optional: true }),
+      clientId,
+    }),
+  },
+  private_message: {
+    payload: object({ to: id(), text: string({ optional: true }), attachmentId: id({ optional: true }), clientId }),
+  },
+  typing: { payload: object({ isTyping: boolean(), room: roomRef }), ack: false },
+  read_message: { payload: object({ messageId: id(), room: roomRef }) },
+  fetch_history: {
+    payload: object({ room: roomRef, before: id({ optional: true }), limit: integer({ optional: true, min: 1, max: LIMITS.historyPage }) }),
+  },
+  // `after`: the newest seq the client holds for a room (null = global chat) or,
+  // with `with`, for the DMs with that user
+  sync: {
+    payload: object({
+      conversations: array(object({ room: roomRef, with: id({ optional: true }), after: integer({ min: 0 }) }), {
+        max: LIMITS.syncConversations,
+      }),
+    }),
+  },
+  edit_message: { payload: object({ messageId: id(), text: string({ min: 1 }) }) },
+  delete_message: { payload: object({ messageId: id() }) },
+  fetch_thread: { payload: object({ messageId: id() }) },
+  add_reaction: { payload: object({ messageId: id(), emoji: string({ min: 1, max: LIMITS.emoji }) }) },
+  remove_reaction: { payload: object({ messageId: id(), emoji: string({ min: 1, max: LIMITS.emoji }) }) },
+  format_preview: { payload: object({ text: string({ trim: false }) }) },
+  set_idle: { payload: object({ idle: boolean() }), ack: false },
+  set_status: { payload: object({ mode: oneOf(PRESENCE_MODES, { optional: true }), status: string({ optional: true, max: LIMITS.status }) }) },
+  set_role: { payload: object({ roomId: id(), userId: id(), role: oneOf(ROLES) }) },
+  kick_user: { payload: object({ ...moderationTarget, reason }) },
+  ban_user: {
+    payload: object({
+      ...moderationTarget,
+      duration: integer({ optional: true, min: 1, max: LIMITS.sanctionSeconds }),
+      reason,
+      ip: boolean({ optional: true }),
+    }),
+  },
+  unban_user: { payload: object(moderationTarget) },
+  mute_user: { payload: object({ ...moderationTarget, duration: integer({ min: 1, max: LIMITS.sanctionSeconds }), reason }) },
+  unmute_user: { payload: object(moderationTarget) },
+  set_slow_mode: { payload: object({ roomId: id(), seconds: integer({ min: 0, max: LIMITS.slowModeSeconds }) }) },
+  list_sanctions: { payload: object({ roomId: id({ optional: true }) }) },
+}
+
+// Validate a client event's payload: { value } or an ack-ready { code, error }
+export function checkClientEvent(event, payload) {
+  const spec = CLIENT_EVENTS[event]
+  if (!spec) return { code: 'unknown_event', error: `Unknown event: ${event}` }
+  const { value, error } = validate(spec.payload, payload)
+  return error ? { code: 'invalid_payload', error } : { value }
+}
+
+// ---- server -> client ----
+
+const user = object({ id: id(), username: string() }, { loose: true })
+const presenceEntry = object(
+  {
+    id: id(),
+    username: string(),
+    state: oneOf(['online', 'away', 'dnd', 'offline']),
+    status: string({ optional: true }),
+    lastSeen: string({ optional: true }),
+    sessions: integer({ min: 0 }),
+  },
+  { loose: true }
+)
+const message = object(
+  {
+    id: id(),
+    text: string({ trim: false }),
+    sender: string(),
+    senderId: id(),
+    timestamp: string(),
+    room: id({ optional: true }),
+    isPrivate: boolean(),
+    // numbers the messages of one conversation (room, global chat or DM pair) 1, 2, 3...
+    seq: integer({ optional: true, min: 1 }),
+    clientId: string({ optional: true }),
+  },
+  { loose: true }
+)
+const room = object(
+  {
+    id: id(),
+    name: string(),
+    visibility: oneOf(VISIBILITIES),
+    ownerId: id(),
+    moderators: array(id(), { optional: true }),
+    slowMode: integer({ optional: true, min: 0 }),
+    members: array(user),
+    invited: array(id()),
+  },
+  { loose: true }
+)
+const roomMember = object({ room: id(), id: id(), username: string() })
+
+export const SERVER_EVENTS = {
+  user_list: { payload: array(presenceEntry) },
+  presence_update: { payload: object({ users: array(presenceEntry) }) },
+  user_joined: { payload: object({ id: id(), username: string() }) },
+  user_left: { payload: object({ id: id(), username: string(), reason: string({ optional: true }) }) },
+  room_list: { payload: array(room) },
+  room_updated: { payload: room },
+  room_deleted: { payload: object({ id: id() }) },
+  user_joined_room: { payload: roomMember },
+  user_left_room: { payload: roomMember },
+  room_users: { payload: object({ room: id(), users: array(user) }) },
+  user_added: { payload: object({ room: id(), user }) },
+  user_removed: { payload: object({ room: id(), userId: id() }) },
+  receive_message: { payload: message },
+  // acked by the client so the message counts as delivered
+  private_message: { payload: message, ack: true },
+  message_status: { payload: object({ messageId: id(), recipientId: id(), status: string(), deliveredAt: string() }) },
+  message_updated: { payload: message },
+  message_deleted: { payload: object({ messageId: id(), room: id({ optional: true }), deletedAt: string(), deletedBy: id() }) },
+  reaction_updated: { payload: object({ messageId: id(), room: id({ optional: true }), reactions: any() }) },
+  receipt_updated: {
+    payload: object(
+      {
+        type: oneOf(['delivered', 'read']),
+        userId: id(),
+        messageId: id(),
+        room: id({ optional: true }),
+      },
+      { loose: true }
+    ),
+  },
+  mention: { payload: object({ message }) },
+  typing_users: { payload: object({ room: id({ optional: true }), users: array(string()) }) },
+  moderation: {
+    payload: object({
+      action: oneOf(['role', 'kick', 'ban', 'unban', 'mute', 'unmute']),
+      room: id({ optional: true }),
+      reason: string({ optional: true, trim: false }),
+      expiresAt: string({ optional: true }),
+      role: oneOf(ROLES, { optional: true }),
+      by: string(),
+    }),
+  },
+  rate_limited: {
+    payload: object({ event: string(), level: oneOf(['throttle', 'disconnect']), retryAfter: integer({ min: 0 }) }),
+  },
+}
+
+// Check a server event's payload: null, or a message saying what is wrong
+export function checkServerEvent(event, payload) {
+  const spec = SERVER_EVENTS[event]
+  if (!spec) return `Unknown server event: ${event}`
+  return validate(spec.payload, payload).error || null
+}
+
+// A failed ack: { ok: false, code, error, ...details }
+export function failure(code, error = ERRORS[code], details = {}) {
+  return { ok: false, code, error, ...details }
+}